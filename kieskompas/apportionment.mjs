@@ -0,0 +1,91 @@
+/**
+ * Seat apportionment for the Tweede Kamer from vote shares, and reading
+ * those shares from a poll pasted as text, for the seat simulator.
+ */
+
+export const TOTAL_SEATS = 150;
+
+/**
+ * Normalize a party name for matching: case and punctuation are ignored
+ */
+function normalizeName(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+/**
+ * Apportion seats with the largest averages (D'Hondt) method, like the
+ * Kiesraad does. `votes` maps short names to votes or percentages of all
+ * valid votes. Only parties with at least one full quota (the kiesdeler,
+ * `total / seats`) take part. `total` defaults to 100 so percentages that
+ * leave room for other parties count as such; larger totals are used as is.
+ * Equal averages go to the party with the most votes.
+ */
+export function apportionSeats(
+  votes,
+  {
+    seats = TOTAL_SEATS,
+    total = Math.max(
+      100,
+      Object.values(votes).reduce((sum, value) => sum + value, 0),
+    ),
+  } = {},
+) {
+  const quota = total / seats;
+  const result = Object.fromEntries(Object.keys(votes).map((key) => [key, 0]));
+  const qualifying = Object.entries(votes)
+    .filter(([, value]) => value > 0 && value >= quota)
+    .sort(([, a], [, b]) => b - a);
+
+  if (qualifying.length === 0) return result;
+
+  for (let seat = 0; seat < seats; seat++) {
+    let best = null;
+    let bestAverage = -1;
+    qualifying.forEach(([key, value]) => {
+      const average = value / (result[key] + 1);
+      if (average > bestAverage) {
+        best = key;
+        bestAverage = average;
+      }
+    });
+    result[best]++;
+  }
+
+  return result;
+}
+
+/**
+ * Read vote shares from pasted poll text, one party per line ending in a
+ * number ("VVD 20,5%", "1. PVV: 23.5", "Democraten 66<tab>6,3"). Parties are
+ * matched by short or full name. Returns the shares by short name and the
+ * lines that could not be read.
+ */
+export function parsePoll(text, parties) {
+  const byName = new Map();
+  parties.forEach((party) => {
+    byName.set(normalizeName(party.shortName), party.shortName);
+    byName.set(normalizeName(party.name), party.shortName);
+  });
+
+  const votes = {};
+  const unmatched = [];
+
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0)
+    .forEach((line) => {
+      const match = line.match(/^(.*?)[\s:=-]*(\d+(?:[.,]\d+)?)\s*%?$/);
+      const name =
+        match && match[1].replace(/^\d+[.)]\s*/, "").replace(/[\s:=-]+$/, "");
+      const shortName = name && byName.get(normalizeName(name));
+
+      if (shortName) {
+        votes[shortName] = parseFloat(match[2].replace(",", "."));
+      } else {
+        unmatched.push(line);
+      }
+    });
+
+  return { votes, unmatched };
+}
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { TOTAL_SEATS, apportionSeats, parsePoll } from "./apportionment.mjs";
+
+const data = JSON.parse(
+  readFileSync(new URL("./parties-data.json", import.meta.url), "utf-8"),
+);
+
+// Official votes of the 2023 election (Kiesraad), other parties left out
+const VOTES_2023 = {
+  PVV: 2450878,
+  "PvdA-GL": 1643073,
+  VVD: 1589519,
+  NSC: 1343287,
+  D66: 656292,
+  BBB: 485551,
+  CDA: 345822,
+  SP: 328225,
+  DENK: 246765,
+  PvdD: 235148,
+  FvD: 232963,
+  SGP: 217270,
+  CU: 212532,
+  Volt: 178802,
+  JA21: 71345,
+  "50PLUS": 51043,
+};
+const VALID_VOTES_2023 = 10432726;
+
+test("the 2023 votes give the official 2023 seats", () => {
+  const seats = apportionSeats(VOTES_2023, { total: VALID_VOTES_2023 });
+
+  assert.deepEqual(seats, data.electionResults.tk2023.seats);
+});
+
+test("parties below one full quota get no seats", () => {
+  // The quota is 100% / 150 seats, about 0.67%
+  const seats = apportionSeats({ A: 60, B: 39.4, C: 0.6 });
+
+  assert.equal(seats.C, 0);
+  assert.equal(seats.A + seats.B, TOTAL_SEATS);
+});
+
+test("the threshold is a share of all votes, not of the listed parties", () => {
+  // 0.5% of the listed 30.5% would be enough for a seat
+  const seats = apportionSeats({ A: 30, B: 0.5 });
+
+  assert.deepEqual(seats, { A: TOTAL_SEATS, B: 0 });
+});
+
+test("seats can be apportioned from seat counts of a poll", () => {
+  assert.deepEqual(apportionSeats({ A: 80, B: 45, C: 25 }), {
+    A: 80,
+    B: 45,
+    C: 25,
+  });
+});
+
+test("equal averages go to the party with the most votes", () => {
+  assert.deepEqual(apportionSeats({ A: 2, B: 1 }, { seats: 2, total: 2 }), {
+    A: 2,
+    B: 0,
+  });
+});
+
+test("poll text is matched by short or full name", () => {
+  const { votes, unmatched } = parsePoll(
+    [
+      "1. PVV: 23,5%",
+      "Democraten 66\t6,3",
+      "JA21 12",
+      "pvda-gl - 15",
+      "Overig 3",
+      "",
+    ].join("\n"),
+    data.parties,
+  );
+
+  assert.deepEqual(votes, { PVV: 23.5, D66: 6.3, JA21: 12, "PvdA-GL": 15 });
+  assert.deepEqual(unmatched, ["Overig 3"]);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { getSignedPosition } from "./coordinates.mjs";
+
+const require = createRequire(import.meta.url);
+const OfflineKieskompasParser = require("./generate-data.js");
+const { validateData } = require("./validate-data.js");
+
+/**
+ * A compass for the European Parliament: wider than high, other axis
+ * wording, unrotated side labels and the vertical axis first in the titles
+ */
+const EUROPEAN_SVG = `<svg class="Compass__svg" xmlns="http://www.w3.org/2000/svg" width="100%" height="100%" viewBox="0 0 1000 800">
+  <text x="500" y="30">Pro-Europees</text>
+  <text x="500" y="790">Eurokritisch</text>
+  <text x="40" y="400">Links</text>
+  <text x="960" y="400">Rechts</text>
+  <svg class="Compass__compass" x="10%" y="10%" width="80%" height="80%">
+    <g class="CompassParty">
+      <svg class="CompassParty__icon" aria-label="Volt" width="10%" height="10%" x="55%" y="30%">
+        <title>Volt: 30% pro-europees, 20% rechts.</title>
+      </svg>
+    </g>
+  </svg>
+</svg>`;
+
+const parseSvg = async (svgText) => {
+  const directory = mkdtempSync(path.join(tmpdir(), "kieskompas-"));
+  try {
+    const svgPath = path.join(directory, "europees.svg");
+    writeFileSync(svgPath, svgText);
+    return await new OfflineKieskompasParser(
+      svgPath,
+      path.join(directory, "parties-data.json"),
+    ).parse();
+  } finally {
+    rmSync(directory, { recursive: true });
+  }
+};
+
+const data = await parseSvg(EUROPEAN_SVG);
+
+test("axis labels are placed by their position in the viewBox", () => {
+  assert.deepEqual(data.axisLabels, {
+    top: "Pro-Europees",
+    bottom: "Eurokritisch",
+    left: "Links",
+    right: "Rechts",
+  });
+  assert.deepEqual(data.axes, {
+    horizontal: { negative: "links", positive: "rechts" },
+    vertical: { negative: "pro-europees", positive: "eurokritisch" },
+  });
+});
+
+test("titles are read in any wording and axis order", async () => {
+  const [volt] = data.parties;
+
+  assert.deepEqual(volt.politicalPosition, {
+    horizontal: { value: 20, direction: "rechts" },
+    vertical: { value: 30, direction: "pro-europees" },
+  });
+  assert.deepEqual(getSignedPosition(volt, data.axes), {
+    horizontal: 20,
+    vertical: -30,
+  });
+  // The icon sits where the title says on these axes
+  assert.deepEqual(await validateData(data, () => true), []);
+});
+
+test("a compass without a label on every side is rejected", async () => {
+  await assert.rejects(
+    () => parseSvg(EUROPEAN_SVG.replace(/<text x="960".*<\/text>/, "")),
+    /No axis label found at the right/,
+  );
+});
@@ -0,0 +1,393 @@
+/**
+ * Coalition arithmetic without any DOM access, shared by the page
+ * (parser.js) and the Node scripts: loading the data, selecting parties by
+ * short name, seat totals, majorities and position metrics. In Node:
+ *
+ *   const parser = new KieskompasParser("parties-data.json", async (path) =>
+ *     JSON.parse(await readFile(path, "utf-8")),
+ *   );
+ *   const data = await parser.load();
+ *   const kabinet = new Coalition(
+ *     data.parties,
+ *     findPartyIndices(data.parties, ["D66", "CDA", "VVD"]),
+ *     { resultsKey: data.defaultElectionResults, axes: data.axes },
+ *   );
+ *   kabinet.getMetrics(); // { seats, position, spread }
+ */
+
+import { TOTAL_SEATS } from "./apportionment.mjs";
+import {
+  CompassCoordinates,
+  DEFAULT_AXES,
+  getDistance,
+  getSignedPosition,
+} from "./coordinates.mjs";
+
+export const MAJORITY_SEATS = 76;
+
+// Size and majority of both chambers of parliament
+export const CHAMBERS = {
+  "tweede-kamer": { seats: TOTAL_SEATS, majority: MAJORITY_SEATS },
+  "eerste-kamer": { seats: 75, majority: 38 },
+};
+
+/**
+ * Get a party's entry in the given result set, null when it is missing
+ */
+export function getPartyResult(party, resultsKey) {
+  return party.electionResults[resultsKey] || null;
+}
+
+/**
+ * Get the number of seats a party won in the given result set, 0 when unknown
+ */
+export function getPartySeats(party, resultsKey) {
+  const result = getPartyResult(party, resultsKey);
+  return result ? result.seats : 0;
+}
+
+/**
+ * Get the indices of the parties with the given short names
+ * (case-insensitive), in the order of `parties`. Unknown names are skipped.
+ */
+export function findPartyIndices(parties, shortNames) {
+  const upperShortNames = shortNames.map((shortName) =>
+    shortName.toUpperCase(),
+  );
+  const indices = [];
+  parties.forEach((party, index) => {
+    if (upperShortNames.includes(party.shortName.toUpperCase())) {
+      indices.push(index);
+    }
+  });
+  return indices;
+}
+
+/**
+ * Read JSON over HTTP, the way the page loads its data
+ */
+async function fetchJson(path) {
+  const response = await fetch(path);
+  return response.json();
+}
+
+export class KieskompasParser {
+  /**
+   * `readJson` loads the JSON at `dataPath`, by default with `fetch`. Node
+   * scripts can pass a function reading the file from disk instead.
+   */
+  constructor(dataPath, readJson = fetchJson) {
+    this.dataPath = dataPath;
+    this.readJson = readJson;
+    this.data = null;
+  }
+
+  /**
+   * Load the pre-parsed JSON data
+   */
+  async load() {
+    try {
+      this.data = await this.readJson(this.dataPath);
+      return this.data;
+    } catch (error) {
+      console.error("Error loading data:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all data in a structured format
+   */
+  getAllData() {
+    return this.data;
+  }
+}
+
+/**
+ * A set of parties, given by their index in `parties`, with its seats in
+ * one result set and its position on the compass. `chamber` is the chamber
+ * the result set belongs to. The average position is weighted by seats when
+ * `weighted` is set.
+ */
+export class Coalition {
+  constructor(
+    parties,
+    indices,
+    {
+      resultsKey,
+      chamber = "tweede-kamer",
+      axes = DEFAULT_AXES,
+      weighted = false,
+    } = {},
+  ) {
+    this.parties = parties;
+    this.indices = new Set(indices);
+    this.resultsKey = resultsKey;
+    this.chamber = chamber;
+    this.axes = axes;
+    this.weighted = weighted;
+  }
+
+  get members() {
+    return Array.from(this.indices).map((index) => this.parties[index]);
+  }
+
+  /**
+   * Total seats of the members, parties without a result count as 0
+   */
+  getSeats() {
+    return this.members.reduce(
+      (sum, party) => sum + getPartySeats(party, this.resultsKey),
+      0,
+    );
+  }
+
+  /**
+   * Signed positions of the members, in the order of `members`
+   */
+  getPositions() {
+    return this.members.map((party) => getSignedPosition(party, this.axes));
+  }
+
+  /**
+   * Weighted or simple average of the members' signed positions, null
+   * without members. Weighted by seats, parties without seats count as 0.
+   */
+  getAverage() {
+    return CompassCoordinates.averagePosition(
+      this.getPositions(),
+      this.weighted
+        ? this.members.map((party) => getPartySeats(party, this.resultsKey))
+        : null,
+    );
+  }
+
+  /**
+   * Largest distance between two members on the compass
+   */
+  getSpread() {
+    return CoalitionFinder.calculateSpread(this.getPositions());
+  }
+
+  /**
+   * Seats, average position and spread together
+   */
+  getMetrics() {
+    return {
+      seats: this.getSeats(),
+      position: this.getAverage(),
+      spread: this.getSpread(),
+    };
+  }
+
+  /**
+   * How closely the members lie together: the range and standard deviation
+   * per axis, the seat-weighted median, the largest party compared to the
+   * average and every party's distance to the average. Null without members.
+   */
+  getCohesion() {
+    const members = this.members.map((party) => ({
+      party,
+      seats: getPartySeats(party, this.resultsKey),
+      position: getSignedPosition(party, this.axes),
+    }));
+    if (members.length === 0) return null;
+
+    const average = this.getAverage();
+    const totalSeats = members.reduce((sum, member) => sum + member.seats, 0);
+
+    const axisMetrics = (axis) => {
+      const values = members.map((member) => member.position[axis]);
+      const mean =
+        values.reduce((sum, value) => sum + value, 0) / values.length;
+      const variance =
+        values.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+        values.length;
+
+      // Weighted median: the first position where half of the seats is reached,
+      // falling back to one seat per party when no seats are known
+      const sorted = [...members].sort(
+        (a, b) => a.position[axis] - b.position[axis],
+      );
+      const weight = (member) => (totalSeats > 0 ? member.seats : 1);
+      const half = sorted.reduce((sum, member) => sum + weight(member), 0) / 2;
+      let cumulative = 0;
+      const median = sorted.find((member) => {
+        cumulative += weight(member);
+        return cumulative >= half;
+      }).position[axis];
+
+      return {
+        range: Math.max(...values) - Math.min(...values),
+        standardDeviation: Math.sqrt(variance),
+        median,
+      };
+    };
+
+    const largest = members.reduce((a, b) => (b.seats > a.seats ? b : a));
+
+    return {
+      horizontal: axisMetrics("horizontal"),
+      vertical: axisMetrics("vertical"),
+      largestParty: {
+        party: largest.party,
+        position: largest.position,
+        distance: getDistance(largest.position, average),
+      },
+      distances: members
+        .map((member) => ({
+          party: member.party,
+          distance: getDistance(member.position, average),
+        }))
+        .sort((a, b) => b.distance - a.distance),
+    };
+  }
+
+  /**
+   * Check the members against the majority of the result set's chamber and
+   * find the other parties that could close the gap: every party that is
+   * big enough by itself, smallest first, or else the biggest parties together
+   */
+  getMajorityStatus() {
+    const { majority } = CHAMBERS[this.chamber];
+    const seatsOf = (party) => getPartySeats(party, this.resultsKey);
+    const seats = this.getSeats();
+    const shortfall = majority - seats;
+
+    const candidates = this.parties
+      .filter((_, index) => !this.indices.has(index))
+      .filter((party) => seatsOf(party) > 0)
+      .sort((a, b) => seatsOf(b) - seatsOf(a));
+
+    let closers = [];
+    let combined = false;
+    if (shortfall > 0) {
+      closers = candidates
+        .filter((party) => seatsOf(party) >= shortfall)
+        .reverse();
+
+      if (closers.length === 0) {
+        combined = true;
+        let added = 0;
+        closers = candidates.filter((party) => {
+          if (added >= shortfall) return false;
+          added += seatsOf(party);
+          return true;
+        });
+        if (added < shortfall) closers = [];
+      }
+    }
+
+    return { seats, majority, shortfall, closers, combined };
+  }
+}
+
+/**
+ * Enumerates and ranks party combinations that reach a majority
+ */
+export class CoalitionFinder {
+  constructor(
+    parties,
+    resultsKey,
+    majority = MAJORITY_SEATS,
+    axes = DEFAULT_AXES,
+  ) {
+    this.parties = parties;
+    this.resultsKey = resultsKey;
+    this.majority = majority;
+    this.axes = axes;
+  }
+
+  /**
+   * Find every combination of parties with at least `majority` seats.
+   * Parties without seats never change the outcome and are left out.
+   * With `minimalOnly`, coalitions that keep a majority without one of
+   * their members are skipped. The average position of each coalition is
+   * weighted by seats when `weighted` is set.
+   */
+  findMajorities({ minimalOnly = false, weighted = false } = {}) {
+    const candidates = [];
+    this.parties.forEach((party, index) => {
+      const seats = getPartySeats(party, this.resultsKey);
+      if (seats > 0) {
+        candidates.push({
+          index,
+          seats,
+          position: getSignedPosition(party, this.axes),
+        });
+      }
+    });
+
+    const coalitions = [];
+    const combinationCount = 1 << candidates.length;
+
+    for (let mask = 1; mask < combinationCount; mask++) {
+      const members = candidates.filter((_, bit) => mask & (1 << bit));
+      const seats = members.reduce((sum, member) => sum + member.seats, 0);
+      if (seats < this.majority) continue;
+
+      const smallestSeats = Math.min(...members.map((member) => member.seats));
+      if (minimalOnly && seats - smallestSeats >= this.majority) continue;
+
+      const positions = members.map((member) => member.position);
+      coalitions.push({
+        indices: members.map((member) => member.index),
+        seats,
+        surplus: seats - this.majority,
+        spread: CoalitionFinder.calculateSpread(positions),
+        position: CompassCoordinates.averagePosition(
+          positions,
+          weighted ? members.map((member) => member.seats) : null,
+        ),
+      });
+    }
+
+    return coalitions;
+  }
+
+  /**
+   * Add the distance between each coalition's average and a position
+   */
+  measureDistances(coalitions, position) {
+    return coalitions.map((coalition) => ({
+      ...coalition,
+      distance: getDistance(coalition.position, position),
+    }));
+  }
+
+  /**
+   * Largest distance between two members on the compass, in percentage points
+   */
+  static calculateSpread(positions) {
+    let spread = 0;
+    for (let i = 0; i < positions.length; i++) {
+      for (let j = i + 1; j < positions.length; j++) {
+        const distance = Math.hypot(
+          positions[i].horizontal - positions[j].horizontal,
+          positions[i].vertical - positions[j].vertical,
+        );
+        spread = Math.max(spread, distance);
+      }
+    }
+    return spread;
+  }
+
+  /**
+   * Sort coalitions by the given key, using the other keys as tie-breakers.
+   * Sorting by "distance" needs `measureDistances` first.
+   */
+  rank(coalitions, sortBy = "spread") {
+    const keys = ["spread", "partyCount", "surplus"];
+    const order = [sortBy, ...keys.filter((key) => key !== sortBy)];
+    const value = (coalition, key) =>
+      key === "partyCount" ? coalition.indices.length : coalition[key];
+
+    return [...coalitions].sort((a, b) => {
+      for (const key of order) {
+        const difference = value(a, key) - value(b, key);
+        if (difference !== 0) return difference;
+      }
+      return 0;
+    });
+  }
+}
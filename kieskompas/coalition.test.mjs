@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import {
+  Coalition,
+  CoalitionFinder,
+  KieskompasParser,
+  findPartyIndices,
+} from "./coalition.mjs";
+
+/**
+ * A party with its stated position and seats in the "tk" (Tweede Kamer) and
+ * "ek" (Eerste Kamer) result sets
+ */
+const party = (shortName, horizontal, vertical, seats, senateSeats) => ({
+  shortName,
+  politicalPosition: {
+    horizontal: {
+      value: Math.abs(horizontal),
+      direction: horizontal < 0 ? "links" : "rechts",
+    },
+    vertical: {
+      value: Math.abs(vertical),
+      direction: vertical < 0 ? "progressief" : "conservatief",
+    },
+  },
+  electionResults: {
+    tk: seats === null ? null : { seats },
+    ek: senateSeats === null ? null : { seats: senateSeats },
+  },
+});
+
+const PARTIES = [
+  party("A", -40, -20, 50, 12),
+  party("B", 20, 10, 30, 20),
+  party("C", 60, -20, 10, 10),
+  party("D", 0, 0, null, 4),
+];
+
+test("the data loads through any JSON reader", async () => {
+  const parser = new KieskompasParser(
+    new URL("./parties-data.json", import.meta.url),
+    async (path) => JSON.parse(await readFile(path, "utf-8")),
+  );
+  const data = await parser.load();
+
+  assert.equal(parser.getAllData(), data);
+  assert.ok(data.parties.length > 0);
+});
+
+test("parties are found by short name in any case", () => {
+  assert.deepEqual(findPartyIndices(PARTIES, ["c", "A", "X"]), [0, 2]);
+});
+
+test("seats and the average position of a coalition", () => {
+  const options = { resultsKey: "tk" };
+
+  assert.equal(new Coalition(PARTIES, [0, 1, 3], options).getSeats(), 80);
+  assert.deepEqual(new Coalition(PARTIES, [0, 1], options).getAverage(), {
+    horizontal: -10,
+    vertical: -5,
+  });
+  // (-40 * 50 + 20 * 30) / 80
+  assert.equal(
+    new Coalition(PARTIES, [0, 1], { ...options, weighted: true }).getAverage()
+      .horizontal,
+    -17.5,
+  );
+  assert.equal(new Coalition(PARTIES, [], options).getAverage(), null);
+});
+
+test("the spread is the largest distance between two members", () => {
+  const coalition = new Coalition(PARTIES, [0, 1, 2], { resultsKey: "tk" });
+
+  assert.equal(coalition.getSpread(), 100);
+  assert.deepEqual(coalition.getMetrics(), {
+    seats: 90,
+    position: { horizontal: 40 / 3, vertical: -10 },
+    spread: 100,
+  });
+});
+
+test("cohesion takes the median by seats", () => {
+  const cohesion = new Coalition(PARTIES, [0, 1, 2], {
+    resultsKey: "tk",
+  }).getCohesion();
+
+  assert.equal(cohesion.horizontal.range, 100);
+  // Party A alone has more than half of the 90 seats
+  assert.equal(cohesion.horizontal.median, -40);
+  assert.equal(cohesion.largestParty.party.shortName, "A");
+  assert.deepEqual(
+    cohesion.distances.map(({ party }) => party.shortName),
+    ["A", "C", "B"],
+  );
+});
+
+test("the majority check names the parties that could close the gap", () => {
+  const status = new Coalition(PARTIES, [1, 2], {
+    resultsKey: "tk",
+  }).getMajorityStatus();
+
+  assert.equal(status.seats, 40);
+  assert.equal(status.shortfall, 36);
+  assert.deepEqual(
+    status.closers.map(({ shortName }) => shortName),
+    ["A"],
+  );
+  assert.equal(status.combined, false);
+});
+
+test("the majority follows the chamber of the result set", () => {
+  const status = new Coalition(PARTIES, [2], {
+    resultsKey: "ek",
+    chamber: "eerste-kamer",
+  }).getMajorityStatus();
+
+  assert.equal(status.seats, 10);
+  assert.equal(status.majority, 38);
+  assert.equal(status.shortfall, 28);
+  // B (20) is the biggest, then A (12), together enough for the 28 seats
+  assert.equal(status.combined, true);
+  assert.deepEqual(
+    status.closers.map(({ shortName }) => shortName),
+    ["B", "A"],
+  );
+});
+
+test("the finder ranks the minimal majorities", () => {
+  const finder = new CoalitionFinder(PARTIES, "tk", 60);
+  const coalitions = finder.rank(finder.findMajorities({ minimalOnly: true }));
+
+  assert.deepEqual(
+    coalitions.map(({ indices }) => indices),
+    [
+      [0, 1],
+      [0, 2],
+    ],
+  );
+});
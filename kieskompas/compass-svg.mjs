@@ -0,0 +1,730 @@
+/**
+ * Drawing helpers for the compass SVG, shared by the page (parser.js)
+ * and the Node image renderer (render-images.js). They only use the DOM
+ * of the document the compass lives in, so they work with JSDOM too.
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const MARKER_COLOR = "#ff0000";
+const USER_MARKER_COLOR = "#111111";
+const LEGEND_FONT_SIZE = 14;
+const LEGEND_LINE_HEIGHT = 22;
+const LEGEND_PADDING = 20;
+const LEGEND_LOGO_SIZE = 18;
+const AXIS_COLOR = "#999999";
+const LABEL_COLOR = "#404040";
+const LABEL_FONT_SIZE = 18;
+
+// Distance of the axis labels to the edges of the outer SVG
+const LABEL_MARGIN = 20;
+const LABEL_BASELINE_OFFSET = 10;
+
+/**
+ * Create an SVG element with the given attributes
+ */
+function createSvgElement(document, name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([attribute, value]) => {
+    element.setAttribute(attribute, String(value));
+  });
+  return element;
+}
+
+/**
+ * Create one of the four axis labels around the compass, `side` being
+ * top, bottom, left or right
+ */
+function createAxisLabel(document, side, text, x, y, rotation = 0) {
+  const label = createSvgElement(document, "text", {
+    "data-side": side,
+    "font-family": "Helvetica, Arial, sans-serif",
+    "font-size": LABEL_FONT_SIZE,
+    "letter-spacing": 2,
+    "text-anchor": "middle",
+    x,
+    y,
+    fill: LABEL_COLOR,
+  });
+  if (rotation) {
+    label.setAttribute("transform", `rotate(${rotation} ${x} ${y})`);
+  }
+  label.textContent = text;
+  return label;
+}
+
+/**
+ * Create the round icon of a party, positioned by its top-left corner like
+ * the icons of the original Kieskompas SVG
+ */
+function createPartyIcon(document, party, iconSize, logoHref) {
+  const group = createSvgElement(document, "g", {
+    class: "CompassParty",
+    tabindex: 0,
+  });
+  const icon = createSvgElement(document, "svg", {
+    class: "CompassParty__icon",
+    "aria-label": party.name,
+    width: `${iconSize}%`,
+    height: `${iconSize}%`,
+    x: `${party.position.x}%`,
+    y: `${party.position.y}%`,
+    overflow: "visible",
+  });
+
+  const title = createSvgElement(document, "title");
+  title.textContent = party.title;
+  icon.appendChild(title);
+
+  icon.appendChild(
+    createSvgElement(document, "circle", {
+      class: "CompassParty__shadow",
+      cx: "50%",
+      cy: "50%",
+      r: "50%",
+      fill: "url(#CompassParty__shadowGradient)",
+    }),
+  );
+  icon.appendChild(
+    createSvgElement(document, "circle", {
+      class: "CompassParty__background",
+      cx: "50%",
+      cy: "50%",
+      r: "40%",
+      fill: "#FFF",
+    }),
+  );
+  if (logoHref) {
+    icon.appendChild(
+      createSvgElement(document, "image", {
+        "clip-path": "url(#CompassParty__logoClip)",
+        x: "10%",
+        y: "10%",
+        width: "80%",
+        height: "80%",
+        href: logoHref,
+      }),
+    );
+  }
+
+  const outline = createSvgElement(document, "circle", {
+    class: "CompassParty__outline",
+    cx: "50%",
+    cy: "50%",
+    r: "41%",
+    stroke: "currentColor",
+    "stroke-width": 2,
+    fill: "transparent",
+  });
+  outline.style.visibility = "hidden";
+  icon.appendChild(outline);
+
+  group.appendChild(icon);
+  return group;
+}
+
+/**
+ * Draw the compass from the generated data alone: the axis labels, the
+ * axes and an icon per party. The result has the same structure and class
+ * names as the original Kieskompas SVG. `getLogoHref` returns the image URL
+ * of a party's logo, by default the generated file.
+ */
+export function createCompassSvg(
+  document,
+  data,
+  { getLogoHref = (party) => party.logo } = {},
+) {
+  const { dimensions, axisLabels } = data;
+  const [, , width, height] = dimensions.viewBox
+    .split(/[\s,]+/)
+    .map(parseFloat);
+  const compass = dimensions.compass;
+
+  const svg = createSvgElement(document, "svg", {
+    class: dimensions.class || "Compass__svg",
+    version: "1.1",
+    width: dimensions.width || "100%",
+    height: dimensions.height || "100%",
+    viewBox: dimensions.viewBox,
+  });
+
+  svg.appendChild(
+    createAxisLabel(
+      document,
+      "top",
+      axisLabels.top,
+      width / 2,
+      LABEL_MARGIN + LABEL_BASELINE_OFFSET,
+    ),
+  );
+  svg.appendChild(
+    createAxisLabel(
+      document,
+      "bottom",
+      axisLabels.bottom,
+      width / 2,
+      height - LABEL_BASELINE_OFFSET,
+    ),
+  );
+  svg.appendChild(
+    createAxisLabel(
+      document,
+      "left",
+      axisLabels.left,
+      LABEL_MARGIN,
+      height / 2,
+      -90,
+    ),
+  );
+  svg.appendChild(
+    createAxisLabel(
+      document,
+      "right",
+      axisLabels.right,
+      width - LABEL_MARGIN,
+      height / 2,
+      90,
+    ),
+  );
+
+  const compassSvg = createSvgElement(document, "svg", {
+    class: "Compass__compass",
+    version: "1.1",
+    width: `${compass.width}%`,
+    height: `${compass.height}%`,
+    x: `${compass.x}%`,
+    y: `${compass.y}%`,
+    overflow: "visible",
+  });
+
+  // Shared by all icons, both are relative to the element they apply to
+  const defs = createSvgElement(document, "defs");
+  const gradient = createSvgElement(document, "radialGradient", {
+    id: "CompassParty__shadowGradient",
+  });
+  gradient.appendChild(
+    createSvgElement(document, "stop", {
+      offset: "0%",
+      "stop-color": "#000",
+      "stop-opacity": 1,
+    }),
+  );
+  gradient.appendChild(
+    createSvgElement(document, "stop", {
+      offset: "99%",
+      "stop-color": "#CCC",
+      "stop-opacity": 0,
+    }),
+  );
+  const clipPath = createSvgElement(document, "clipPath", {
+    id: "CompassParty__logoClip",
+    clipPathUnits: "objectBoundingBox",
+  });
+  clipPath.appendChild(
+    createSvgElement(document, "circle", { cx: 0.5, cy: 0.5, r: 0.5 }),
+  );
+  defs.appendChild(gradient);
+  defs.appendChild(clipPath);
+  compassSvg.appendChild(defs);
+
+  compassSvg.appendChild(
+    createSvgElement(document, "line", {
+      x1: "0%",
+      y1: "50%",
+      x2: "100%",
+      y2: "50%",
+      stroke: AXIS_COLOR,
+      "stroke-width": 2,
+    }),
+  );
+  compassSvg.appendChild(
+    createSvgElement(document, "line", {
+      x1: "50%",
+      y1: "0%",
+      x2: "50%",
+      y2: "100%",
+      stroke: AXIS_COLOR,
+      "stroke-width": 2,
+    }),
+  );
+
+  const partiesGroup = createSvgElement(document, "g");
+  data.parties.forEach((party) => {
+    partiesGroup.appendChild(
+      createPartyIcon(document, party, dimensions.iconSize, getLogoHref(party)),
+    );
+  });
+  compassSvg.appendChild(partiesGroup);
+
+  svg.appendChild(compassSvg);
+  return svg;
+}
+
+/**
+ * Create the average marker, centred on the given percentages of the
+ * inner compass
+ */
+export function createAverageMarker(
+  document,
+  markerX,
+  markerY,
+  { id = "averageMarker", color = MARKER_COLOR, label = null } = {},
+) {
+  const markerGroup = document.createElementNS(SVG_NS, "g");
+  if (id) {
+    markerGroup.setAttribute("id", id);
+  }
+  // Describe the position for screen readers and as a native tooltip
+  if (label) {
+    markerGroup.setAttribute("role", "img");
+    markerGroup.setAttribute("aria-label", label);
+    const title = document.createElementNS(SVG_NS, "title");
+    title.textContent = label;
+    markerGroup.appendChild(title);
+  }
+
+  // Create outer circle (white border)
+  const outerCircle = document.createElementNS(SVG_NS, "circle");
+  outerCircle.setAttribute("cx", `${markerX}%`);
+  outerCircle.setAttribute("cy", `${markerY}%`);
+  outerCircle.setAttribute("r", "12");
+  outerCircle.setAttribute("fill", color);
+  outerCircle.setAttribute("stroke", "#ffffff");
+  outerCircle.setAttribute("stroke-width", "3");
+
+  // Create inner circle
+  const innerCircle = document.createElementNS(SVG_NS, "circle");
+  innerCircle.setAttribute("cx", `${markerX}%`);
+  innerCircle.setAttribute("cy", `${markerY}%`);
+  innerCircle.setAttribute("r", "4");
+  innerCircle.setAttribute("fill", "#ffffff");
+
+  markerGroup.appendChild(outerCircle);
+  markerGroup.appendChild(innerCircle);
+  return markerGroup;
+}
+
+/**
+ * Draw a labelled marker per compared coalition, replacing earlier ones.
+ * Each marker is `{ x, y, color, label }` with x and y in percentages of
+ * the inner compass.
+ */
+export function drawComparisonMarkers(compassSvg, markers) {
+  const document = compassSvg.ownerDocument;
+
+  const existing = compassSvg.querySelector("#comparisonMarkers");
+  if (existing) {
+    existing.remove();
+  }
+  if (markers.length === 0) return;
+
+  const markersGroup = document.createElementNS(SVG_NS, "g");
+  markersGroup.setAttribute("id", "comparisonMarkers");
+
+  markers.forEach(({ x, y, color, label }) => {
+    const marker = createAverageMarker(document, x, y, { id: null, color });
+    marker.setAttribute("class", "comparison-marker");
+
+    const title = document.createElementNS(SVG_NS, "title");
+    title.textContent = label;
+    marker.appendChild(title);
+
+    const text = document.createElementNS(SVG_NS, "text");
+    text.setAttribute("x", `${x}%`);
+    text.setAttribute("y", `${y}%`);
+    text.setAttribute("dx", "16");
+    text.setAttribute("dy", "5");
+    text.setAttribute("font-family", "Helvetica, Arial, sans-serif");
+    text.setAttribute("font-size", "14");
+    text.setAttribute("font-weight", "bold");
+    text.setAttribute("fill", color);
+    text.setAttribute("stroke", "#ffffff");
+    text.setAttribute("stroke-width", "3");
+    text.setAttribute("paint-order", "stroke");
+    text.textContent = label;
+    marker.appendChild(text);
+
+    markersGroup.appendChild(marker);
+  });
+
+  // Keep the marker of the current selection on top
+  const averageMarker = compassSvg.querySelector("#averageMarker");
+  compassSvg.insertBefore(markersGroup, averageMarker);
+}
+
+/**
+ * Convex hull of a list of `{ x, y }` points (monotone chain), in order
+ */
+function getConvexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+
+  const cross = (o, a, b) =>
+    (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const buildChain = (chain, point) => {
+    while (
+      chain.length >= 2 &&
+      cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0
+    ) {
+      chain.pop();
+    }
+    chain.push(point);
+    return chain;
+  };
+
+  const lower = sorted.reduce(buildChain, []);
+  const upper = [...sorted].reverse().reduce(buildChain, []);
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+}
+
+/**
+ * Create the shaded convex hull of the coalition members plus a line from
+ * every member to the marker. Points are percentages of the inner compass.
+ */
+export function createCoalitionShape(document, memberPoints, marker) {
+  const shapeGroup = document.createElementNS(SVG_NS, "g");
+  shapeGroup.setAttribute("id", "coalitionShape");
+  shapeGroup.setAttribute("aria-hidden", "true");
+
+  // Polygons do not accept percentages, so draw the hull in a 100 x 100
+  // viewport stretched over the compass (stroke widths are in those units)
+  const hullSvg = document.createElementNS(SVG_NS, "svg");
+  hullSvg.setAttribute("viewBox", "0 0 100 100");
+  hullSvg.setAttribute("preserveAspectRatio", "none");
+  hullSvg.setAttribute("width", "100%");
+  hullSvg.setAttribute("height", "100%");
+  hullSvg.setAttribute("overflow", "visible");
+
+  const hull = document.createElementNS(SVG_NS, "polygon");
+  hull.setAttribute(
+    "points",
+    getConvexHull(memberPoints)
+      .map((point) => `${point.x},${point.y}`)
+      .join(" "),
+  );
+  hull.setAttribute("fill", MARKER_COLOR);
+  hull.setAttribute("fill-opacity", "0.12");
+  hull.setAttribute("stroke", MARKER_COLOR);
+  hull.setAttribute("stroke-opacity", "0.5");
+  hull.setAttribute("stroke-width", "0.3");
+  hull.setAttribute("stroke-linejoin", "round");
+  hullSvg.appendChild(hull);
+  shapeGroup.appendChild(hullSvg);
+
+  memberPoints.forEach((point) => {
+    const line = document.createElementNS(SVG_NS, "line");
+    line.setAttribute("x1", `${point.x}%`);
+    line.setAttribute("y1", `${point.y}%`);
+    line.setAttribute("x2", `${marker.x}%`);
+    line.setAttribute("y2", `${marker.y}%`);
+    line.setAttribute("stroke", MARKER_COLOR);
+    line.setAttribute("stroke-opacity", "0.6");
+    line.setAttribute("stroke-width", "1.5");
+    line.setAttribute("stroke-dasharray", "4 4");
+    shapeGroup.appendChild(line);
+  });
+
+  return shapeGroup;
+}
+
+/**
+ * Draw the coalition shape and the average marker on the inner compass,
+ * replacing earlier ones. The shape goes below the party icons, the
+ * marker on top of them. `label` describes the marker's position in text.
+ */
+export function drawCoalition(compassSvg, memberPoints, marker, label = null) {
+  const document = compassSvg.ownerDocument;
+
+  compassSvg
+    .querySelectorAll("#coalitionShape, #averageMarker")
+    .forEach((element) => element.remove());
+  if (!marker) return;
+
+  const partiesGroup = compassSvg.querySelector(".CompassParty")?.parentNode;
+  if (partiesGroup && partiesGroup.parentNode === compassSvg) {
+    compassSvg.insertBefore(
+      createCoalitionShape(document, memberPoints, marker),
+      partiesGroup,
+    );
+  } else {
+    compassSvg.appendChild(
+      createCoalitionShape(document, memberPoints, marker),
+    );
+  }
+
+  // The visitor's own position stays on top
+  compassSvg.insertBefore(
+    createAverageMarker(document, marker.x, marker.y, { label }),
+    compassSvg.querySelector("#userMarker"),
+  );
+}
+
+/**
+ * Draw how parties moved across compass editions, replacing earlier
+ * trajectories. Each trajectory is `{ points, color }` with the points
+ * `{ x, y, label }` in percentages of the inner compass, oldest first; the
+ * last point is where the icon is. Trajectories go below the coalition
+ * shape and the party icons.
+ */
+export function drawTrajectories(compassSvg, trajectories) {
+  const document = compassSvg.ownerDocument;
+
+  compassSvg.querySelector("#partyTrajectories")?.remove();
+  if (trajectories.length === 0) return;
+
+  const trajectoriesGroup = document.createElementNS(SVG_NS, "g");
+  trajectoriesGroup.setAttribute("id", "partyTrajectories");
+  trajectoriesGroup.setAttribute("aria-hidden", "true");
+
+  trajectories.forEach(({ points, color }) => {
+    points.slice(1).forEach((point, index) => {
+      const line = document.createElementNS(SVG_NS, "line");
+      line.setAttribute("x1", `${points[index].x}%`);
+      line.setAttribute("y1", `${points[index].y}%`);
+      line.setAttribute("x2", `${point.x}%`);
+      line.setAttribute("y2", `${point.y}%`);
+      line.setAttribute("stroke", color);
+      line.setAttribute("stroke-opacity", "0.7");
+      line.setAttribute("stroke-width", "2");
+      line.setAttribute("stroke-linecap", "round");
+      trajectoriesGroup.appendChild(line);
+    });
+
+    points.slice(0, -1).forEach((point) => {
+      const dot = document.createElementNS(SVG_NS, "circle");
+      dot.setAttribute("cx", `${point.x}%`);
+      dot.setAttribute("cy", `${point.y}%`);
+      dot.setAttribute("r", "4");
+      dot.setAttribute("fill", "#ffffff");
+      dot.setAttribute("stroke", color);
+      dot.setAttribute("stroke-width", "2");
+
+      const title = document.createElementNS(SVG_NS, "title");
+      title.textContent = point.label;
+      dot.appendChild(title);
+      trajectoriesGroup.appendChild(dot);
+    });
+  });
+
+  const below = compassSvg.querySelector("#coalitionShape");
+  const partiesGroup = compassSvg.querySelector(".CompassParty")?.parentNode;
+  if (below) {
+    compassSvg.insertBefore(trajectoriesGroup, below);
+  } else if (partiesGroup && partiesGroup.parentNode === compassSvg) {
+    compassSvg.insertBefore(trajectoriesGroup, partiesGroup);
+  } else {
+    compassSvg.appendChild(trajectoriesGroup);
+  }
+}
+
+/**
+ * Move the party icons to the given positions and update their tooltips.
+ * Each party is `{ name, title, position, isAbsent }`, the position being
+ * the icon's top-left corner; absent parties are faded.
+ */
+export function moveParties(compassSvg, parties) {
+  parties.forEach((party) => {
+    const icon = Array.from(
+      compassSvg.querySelectorAll(".CompassParty__icon"),
+    ).find((element) => element.getAttribute("aria-label") === party.name);
+    if (!icon) return;
+
+    icon.setAttribute("x", `${party.position.x}%`);
+    icon.setAttribute("y", `${party.position.y}%`);
+    // The page moves the title to the group's label for its own tooltip
+    const title = icon.querySelector("title");
+    if (title) {
+      title.textContent = party.title;
+    } else if (icon.parentNode.hasAttribute("aria-label")) {
+      icon.parentNode.setAttribute("aria-label", party.title);
+    }
+    icon.parentNode.classList.toggle(
+      "CompassParty--absent",
+      Boolean(party.isAbsent),
+    );
+  });
+}
+
+/**
+ * Draw the visitor's own position as a labelled crosshair on the inner
+ * compass, replacing an earlier one. `point` is `{ x, y }` in percentages of
+ * the inner compass, or null to remove the marker.
+ */
+export function drawUserMarker(compassSvg, point, label = "Jij") {
+  const document = compassSvg.ownerDocument;
+
+  const existing = compassSvg.querySelector("#userMarker");
+  if (existing) {
+    existing.remove();
+  }
+  if (!point) return;
+
+  // A nested viewport at the point lets the crosshair use fixed sizes
+  const markerSvg = document.createElementNS(SVG_NS, "svg");
+  markerSvg.setAttribute("id", "userMarker");
+  markerSvg.setAttribute("x", `${point.x}%`);
+  markerSvg.setAttribute("y", `${point.y}%`);
+  markerSvg.setAttribute("width", "1");
+  markerSvg.setAttribute("height", "1");
+  markerSvg.setAttribute("overflow", "visible");
+  markerSvg.setAttribute("pointer-events", "none");
+
+  const circle = document.createElementNS(SVG_NS, "circle");
+  circle.setAttribute("r", "10");
+  circle.setAttribute("fill", "none");
+  circle.setAttribute("stroke", USER_MARKER_COLOR);
+  circle.setAttribute("stroke-width", "3");
+  markerSvg.appendChild(circle);
+
+  [
+    [-16, 0, 16, 0],
+    [0, -16, 0, 16],
+  ].forEach(([x1, y1, x2, y2]) => {
+    const line = document.createElementNS(SVG_NS, "line");
+    line.setAttribute("x1", String(x1));
+    line.setAttribute("y1", String(y1));
+    line.setAttribute("x2", String(x2));
+    line.setAttribute("y2", String(y2));
+    line.setAttribute("stroke", USER_MARKER_COLOR);
+    line.setAttribute("stroke-width", "2");
+    markerSvg.appendChild(line);
+  });
+
+  const text = document.createElementNS(SVG_NS, "text");
+  text.setAttribute("x", "14");
+  text.setAttribute("y", "-10");
+  text.setAttribute("font-family", "Helvetica, Arial, sans-serif");
+  text.setAttribute("font-size", "14");
+  text.setAttribute("font-weight", "bold");
+  text.setAttribute("fill", USER_MARKER_COLOR);
+  text.setAttribute("stroke", "#ffffff");
+  text.setAttribute("stroke-width", "3");
+  text.setAttribute("paint-order", "stroke");
+  text.textContent = label;
+  markerSvg.appendChild(text);
+
+  compassSvg.appendChild(markerSvg);
+}
+
+/**
+ * Build a standalone copy of the compass: selected parties outlined,
+ * supporting parties outlined dashed, the others faded, the coalition drawn
+ * and a legend added below.
+ * `marker` and `memberPoints` are `{ x, y }` in percentages of the inner
+ * compass, `legend` is a list of text lines, the first one is shown in bold.
+ * `legendLogos` optionally has an image URL (or null) per legend line, shown
+ * in front of it.
+ */
+export function composeExportSvg(
+  sourceSvg,
+  {
+    selectedNames = [],
+    supportingNames = [],
+    marker = null,
+    memberPoints = [],
+    legend = [],
+    legendLogos = [],
+  } = {},
+) {
+  const document = sourceSvg.ownerDocument;
+  const svg = sourceSvg.cloneNode(true);
+  const compassSvg = svg.querySelector(".Compass__compass");
+
+  svg.querySelectorAll(".CompassParty__icon").forEach((icon) => {
+    const name = icon.getAttribute("aria-label");
+    const isSelected = selectedNames.includes(name);
+    const isSupporting = supportingNames.includes(name);
+    const outline = icon.querySelector(".CompassParty__outline");
+
+    if ((isSelected || isSupporting) && outline) {
+      outline.style.visibility = "visible";
+      outline.setAttribute("stroke", MARKER_COLOR);
+      outline.setAttribute("stroke-width", isSelected ? "4" : "3");
+      if (isSupporting) {
+        outline.setAttribute("stroke-dasharray", "6 4");
+      }
+    } else if (
+      !isSelected &&
+      !isSupporting &&
+      selectedNames.length + supportingNames.length > 0
+    ) {
+      icon.setAttribute("opacity", "0.35");
+    }
+  });
+
+  if (compassSvg) {
+    drawCoalition(compassSvg, memberPoints, marker);
+  }
+
+  // Wrap the compass in a taller canvas to make room for the legend, the
+  // compass keeps its own viewport so its percentages stay the same
+  const [, , width, height] = svg
+    .getAttribute("viewBox")
+    .split(/[\s,]+/)
+    .map(parseFloat);
+  const legendHeight =
+    legend.length > 0
+      ? legend.length * LEGEND_LINE_HEIGHT + 2 * LEGEND_PADDING
+      : 0;
+  const totalHeight = height + legendHeight;
+
+  svg.setAttribute("x", "0");
+  svg.setAttribute("y", "0");
+  svg.setAttribute("width", String(width));
+  svg.setAttribute("height", String(height));
+  svg.removeAttribute("style");
+
+  const wrapper = document.createElementNS(SVG_NS, "svg");
+  wrapper.setAttribute("version", "1.1");
+  wrapper.setAttribute("width", String(width));
+  wrapper.setAttribute("height", String(totalHeight));
+  wrapper.setAttribute("viewBox", `0 0 ${width} ${totalHeight}`);
+
+  const background = document.createElementNS(SVG_NS, "rect");
+  background.setAttribute("width", "100%");
+  background.setAttribute("height", "100%");
+  background.setAttribute("fill", "#ffffff");
+  wrapper.appendChild(background);
+  wrapper.appendChild(svg);
+
+  legend.forEach((line, index) => {
+    const lineTop = height + LEGEND_PADDING + index * LEGEND_LINE_HEIGHT;
+    const logo = legendLogos[index];
+    if (logo) {
+      const image = document.createElementNS(SVG_NS, "image");
+      image.setAttribute("href", logo);
+      image.setAttribute("x", String(LEGEND_PADDING));
+      image.setAttribute(
+        "y",
+        String(lineTop + (LEGEND_LINE_HEIGHT - LEGEND_LOGO_SIZE) / 2),
+      );
+      image.setAttribute("width", String(LEGEND_LOGO_SIZE));
+      image.setAttribute("height", String(LEGEND_LOGO_SIZE));
+      wrapper.appendChild(image);
+    }
+
+    const text = document.createElementNS(SVG_NS, "text");
+    text.setAttribute(
+      "x",
+      String(LEGEND_PADDING + (logo ? LEGEND_LOGO_SIZE + 6 : 0)),
+    );
+    text.setAttribute("y", String(lineTop + 0.75 * LEGEND_LINE_HEIGHT));
+    text.setAttribute("font-family", "Helvetica, Arial, sans-serif");
+    text.setAttribute("font-size", String(LEGEND_FONT_SIZE));
+    text.setAttribute("fill", "#404040");
+    if (index === 0) {
+      text.setAttribute("font-weight", "bold");
+    }
+    text.textContent = line;
+    wrapper.appendChild(text);
+  });
+
+  return wrapper;
+}
+
+/**
+ * Serialize an SVG element to a standalone SVG file
+ */
+export function serializeSvg(svg) {
+  const serializer = new svg.ownerDocument.defaultView.XMLSerializer();
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${serializer.serializeToString(svg)}\n`;
+}
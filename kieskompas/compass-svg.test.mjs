@@ -0,0 +1,153 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import {
+  composeExportSvg,
+  createCompassSvg,
+  drawCoalition,
+  drawTrajectories,
+  moveParties,
+} from "./compass-svg.mjs";
+
+const { JSDOM } = createRequire(import.meta.url)("jsdom");
+
+const data = JSON.parse(
+  readFileSync(new URL("./parties-data.json", import.meta.url), "utf-8"),
+);
+const { document } = new JSDOM().window;
+
+test("the compass is drawn from the data alone", () => {
+  const svg = createCompassSvg(document, data);
+  const compassSvg = svg.querySelector(".Compass__compass");
+
+  assert.equal(svg.getAttribute("viewBox"), data.dimensions.viewBox);
+  assert.equal(compassSvg.getAttribute("x"), `${data.dimensions.compass.x}%`);
+  assert.equal(
+    compassSvg.getAttribute("width"),
+    `${data.dimensions.compass.width}%`,
+  );
+  assert.deepEqual(
+    Array.from(svg.querySelectorAll(":scope > text")).map(
+      (label) => label.textContent,
+    ),
+    [
+      data.axisLabels.top,
+      data.axisLabels.bottom,
+      data.axisLabels.left,
+      data.axisLabels.right,
+    ],
+  );
+});
+
+test("every party icon sits at its position with title and logo", () => {
+  const svg = createCompassSvg(document, data);
+  const icons = svg.querySelectorAll(".CompassParty .CompassParty__icon");
+
+  assert.equal(icons.length, data.partyCount);
+  data.parties.forEach((party, index) => {
+    const icon = icons[index];
+    assert.equal(icon.getAttribute("aria-label"), party.name);
+    assert.equal(icon.getAttribute("x"), `${party.position.x}%`);
+    assert.equal(icon.getAttribute("y"), `${party.position.y}%`);
+    assert.equal(icon.querySelector("title").textContent, party.title);
+    assert.equal(icon.querySelector("image").getAttribute("href"), party.logo);
+  });
+});
+
+test("the logo source can be replaced", () => {
+  const svg = createCompassSvg(document, data, {
+    getLogoHref: (party) => (party.shortName === "VVD" ? "vvd.png" : null),
+  });
+
+  assert.deepEqual(
+    Array.from(svg.querySelectorAll("image")).map((image) =>
+      image.getAttribute("href"),
+    ),
+    ["vvd.png"],
+  );
+});
+
+test("supporting parties are outlined dashed in exports, not faded", () => {
+  const [member, supporter, other] = data.parties;
+  const svg = composeExportSvg(createCompassSvg(document, data), {
+    selectedNames: [member.name],
+    supportingNames: [supporter.name],
+  });
+  const iconOf = (party) =>
+    svg.querySelector(`.CompassParty__icon[aria-label="${party.name}"]`);
+  const dashOf = (party) =>
+    iconOf(party)
+      .querySelector(".CompassParty__outline")
+      .getAttribute("stroke-dasharray");
+
+  assert.equal(dashOf(member), null);
+  assert.equal(dashOf(supporter), "6 4");
+  assert.equal(iconOf(supporter).getAttribute("opacity"), null);
+  assert.equal(iconOf(other).getAttribute("opacity"), "0.35");
+});
+
+test("parties move to an edition's position, absent ones fade", () => {
+  const compassSvg = createCompassSvg(document, data).querySelector(
+    ".Compass__compass",
+  );
+  const [moved, absent] = data.parties;
+
+  moveParties(compassSvg, [
+    { ...moved, title: "Eerder", position: { x: 10, y: 20 } },
+    { ...absent, isAbsent: true },
+  ]);
+
+  const iconOf = (party) =>
+    compassSvg.querySelector(`[aria-label="${party.name}"]`);
+  assert.equal(iconOf(moved).getAttribute("x"), "10%");
+  assert.equal(iconOf(moved).getAttribute("y"), "20%");
+  assert.equal(iconOf(moved).querySelector("title").textContent, "Eerder");
+  assert.ok(
+    iconOf(absent).parentNode.classList.contains("CompassParty--absent"),
+  );
+});
+
+test("the average marker carries a text description", () => {
+  const compassSvg = createCompassSvg(document, data).querySelector(
+    ".Compass__compass",
+  );
+
+  drawCoalition(compassSvg, [], { x: 40, y: 60 }, "Linksonder");
+
+  const marker = compassSvg.querySelector("#averageMarker");
+  assert.equal(marker.getAttribute("role"), "img");
+  assert.equal(marker.getAttribute("aria-label"), "Linksonder");
+  assert.equal(marker.querySelector("title").textContent, "Linksonder");
+  assert.equal(
+    compassSvg.querySelector("#coalitionShape").getAttribute("aria-hidden"),
+    "true",
+  );
+});
+
+test("trajectories are drawn below the party icons and replaced", () => {
+  const compassSvg = createCompassSvg(document, data).querySelector(
+    ".Compass__compass",
+  );
+  const trajectory = {
+    points: [
+      { x: 10, y: 10, label: "A (2021)" },
+      { x: 20, y: 10, label: "A (2023)" },
+      { x: 30, y: 20, label: "A (2025)" },
+    ],
+    color: "#808080",
+  };
+
+  drawTrajectories(compassSvg, [trajectory]);
+  drawTrajectories(compassSvg, [trajectory]);
+
+  const trajectories = compassSvg.querySelectorAll("#partyTrajectories");
+  assert.equal(trajectories.length, 1);
+  assert.equal(trajectories[0].querySelectorAll("line").length, 2);
+  // No dot at the current position, the icon is there
+  assert.equal(trajectories[0].querySelectorAll("circle").length, 2);
+  assert.ok(trajectories[0].nextElementSibling.querySelector(".CompassParty"));
+
+  drawTrajectories(compassSvg, []);
+  assert.equal(compassSvg.querySelector("#partyTrajectories"), null);
+});
@@ -0,0 +1,181 @@
+/**
+ * Coordinate model of the compass, shared by the page (parser.js) and the
+ * Node scripts. Three systems are involved:
+ *
+ * - political: signed axis percentages from -100 to 100, the left and top
+ *   of the compass are negative, the right and bottom positive
+ * - compass: percentages of the inner compass (`.Compass__compass`),
+ *   0 to 100 from the top-left corner, used for the icons and the marker
+ * - viewBox: user units of the outer SVG
+ */
+
+// 100% on an axis is half of the compass width away from the centre
+const COMPASS_CENTER = 50;
+const PERCENTAGE_SCALE = 0.5;
+
+// Layout of the 2025 compass, for data generated before it was recorded
+const DEFAULT_COMPASS = { x: 10, y: 10, width: 80, height: 80 };
+const DEFAULT_ICON_SIZE = 10;
+
+// Axis directions of the 2025 compass, for data generated before they were
+// recorded. Other compasses word them differently, see `axes` in the data.
+export const DEFAULT_AXES = {
+  horizontal: { negative: "links", positive: "rechts" },
+  vertical: { negative: "progressief", positive: "conservatief" },
+};
+
+/**
+ * Get a party's position as signed percentages, negative for the
+ * `negative` direction of each of `axes` (the left and top of the compass)
+ */
+export function getSignedPosition(party, axes = DEFAULT_AXES) {
+  const { horizontal, vertical } = party.politicalPosition;
+  const horizontalValue = horizontal ? horizontal.value : 0;
+  const verticalValue = vertical ? vertical.value : 0;
+
+  return {
+    horizontal:
+      horizontal?.direction === axes.horizontal.positive
+        ? horizontalValue
+        : -horizontalValue,
+    vertical:
+      vertical?.direction === axes.vertical.positive
+        ? verticalValue
+        : -verticalValue,
+  };
+}
+
+/**
+ * Get the direction of a signed percentage on an axis, e.g. "rechts" for
+ * a positive value on the horizontal axis of the 2025 compass
+ */
+export function getAxisDirection(value, axis) {
+  return value >= 0 ? axis.positive : axis.negative;
+}
+
+/**
+ * Get the quadrant of the compass a signed political position lies in, like
+ * "top-left". A position on an axis counts as its positive side.
+ */
+export function getQuadrant({ horizontal, vertical }) {
+  return `${vertical >= 0 ? "bottom" : "top"}-${
+    horizontal >= 0 ? "right" : "left"
+  }`;
+}
+
+/**
+ * Distance between two signed political positions, in percentage points
+ */
+export function getDistance(a, b) {
+  return Math.hypot(a.horizontal - b.horizontal, a.vertical - b.vertical);
+}
+
+/**
+ * Clamp a signed political position to the compass and round it to one
+ * decimal, as shown to and entered by the visitor
+ */
+export function normalizePosition({ horizontal, vertical }) {
+  const normalize = (value) =>
+    Math.round(Math.min(100, Math.max(-100, value)) * 10) / 10;
+  return { horizontal: normalize(horizontal), vertical: normalize(vertical) };
+}
+
+export class CompassCoordinates {
+  /**
+   * `dimensions` is the `dimensions` object of parties-data.json
+   */
+  constructor(dimensions) {
+    const [x, y, width, height] = dimensions.viewBox
+      .split(/[\s,]+/)
+      .map(parseFloat);
+    this.viewBox = { x, y, width, height };
+    this.compass = dimensions.compass || DEFAULT_COMPASS;
+
+    // Icons are positioned by their top-left corner
+    this.iconOffset = (dimensions.iconSize ?? DEFAULT_ICON_SIZE) / 2;
+  }
+
+  /**
+   * Convert a signed political position to compass percentages
+   */
+  fromPolitical({ horizontal, vertical }) {
+    return {
+      x: COMPASS_CENTER + horizontal * PERCENTAGE_SCALE,
+      y: COMPASS_CENTER + vertical * PERCENTAGE_SCALE,
+    };
+  }
+
+  /**
+   * Convert compass percentages to a signed political position
+   */
+  toPolitical({ x, y }) {
+    return {
+      horizontal: (x - COMPASS_CENTER) / PERCENTAGE_SCALE,
+      vertical: (y - COMPASS_CENTER) / PERCENTAGE_SCALE,
+    };
+  }
+
+  /**
+   * Get the centre of an icon from its top-left `position`
+   */
+  getIconCenter(position) {
+    return {
+      x: position.x + this.iconOffset,
+      y: position.y + this.iconOffset,
+    };
+  }
+
+  /**
+   * Convert compass percentages to viewBox units
+   */
+  toViewBox({ x, y }) {
+    return {
+      x:
+        this.viewBox.x +
+        (this.viewBox.width *
+          (this.compass.x + (this.compass.width * x) / 100)) /
+          100,
+      y:
+        this.viewBox.y +
+        (this.viewBox.height *
+          (this.compass.y + (this.compass.height * y) / 100)) /
+          100,
+    };
+  }
+
+  /**
+   * Convert viewBox units to compass percentages
+   */
+  fromViewBox({ x, y }) {
+    return {
+      x:
+        (((x - this.viewBox.x) / this.viewBox.width) * 100 - this.compass.x) *
+        (100 / this.compass.width),
+      y:
+        (((y - this.viewBox.y) / this.viewBox.height) * 100 - this.compass.y) *
+        (100 / this.compass.height),
+    };
+  }
+
+  /**
+   * Weighted average of signed political positions. Falls back to equal
+   * weights when no weights are given or they add up to zero.
+   */
+  static averagePosition(positions, weights = null) {
+    if (positions.length === 0) return null;
+
+    const totalWeight = weights
+      ? weights.reduce((sum, weight) => sum + weight, 0)
+      : 0;
+    const weightOf = (index) => (totalWeight > 0 ? weights[index] : 1);
+    const divisor = totalWeight > 0 ? totalWeight : positions.length;
+
+    const average = (axis) =>
+      positions.reduce(
+        (sum, position, index) => sum + position[axis] * weightOf(index),
+        0,
+      ) / divisor;
+
+    return { horizontal: average("horizontal"), vertical: average("vertical") };
+  }
+}
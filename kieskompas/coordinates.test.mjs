@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  CompassCoordinates,
+  getDistance,
+  getQuadrant,
+  getSignedPosition,
+  normalizePosition,
+} from "./coordinates.mjs";
+
+const data = JSON.parse(
+  readFileSync(new URL("./parties-data.json", import.meta.url), "utf-8"),
+);
+const coordinates = new CompassCoordinates(data.dimensions);
+
+// The stated percentages in the titles are rounded
+const ROUNDING_TOLERANCE = 0.5;
+
+// Only floating point noise is allowed between conversions
+const EPSILON = 1e-9;
+
+const assertClose = (actual, expected) => {
+  Object.keys(expected).forEach((key) => {
+    assert.ok(
+      Math.abs(actual[key] - expected[key]) < EPSILON,
+      `${key}: ${actual[key]} vs ${expected[key]}`,
+    );
+  });
+};
+
+const findParties = (...shortNames) =>
+  shortNames.map((shortName) =>
+    data.parties.find((party) => party.shortName === shortName),
+  );
+
+test("the centre of the compass is the political origin", () => {
+  assert.deepEqual(coordinates.fromPolitical({ horizontal: 0, vertical: 0 }), {
+    x: 50,
+    y: 50,
+  });
+  assert.deepEqual(coordinates.toViewBox({ x: 50, y: 50 }), { x: 350, y: 350 });
+});
+
+test("the extremes of the axes are the corners of the inner compass", () => {
+  const topLeft = coordinates.fromPolitical({
+    horizontal: -100,
+    vertical: -100,
+  });
+  const bottomRight = coordinates.fromPolitical({
+    horizontal: 100,
+    vertical: 100,
+  });
+
+  assert.deepEqual(topLeft, { x: 0, y: 0 });
+  assert.deepEqual(bottomRight, { x: 100, y: 100 });
+  assert.deepEqual(coordinates.toViewBox(topLeft), { x: 70, y: 70 });
+  assert.deepEqual(coordinates.toViewBox(bottomRight), { x: 630, y: 630 });
+});
+
+test("conversions round trip", () => {
+  const political = { horizontal: -37.5, vertical: 12.25 };
+  const compass = coordinates.fromPolitical(political);
+
+  assertClose(coordinates.toPolitical(compass), political);
+  assertClose(coordinates.fromViewBox(coordinates.toViewBox(compass)), compass);
+});
+
+test("every icon is centred on its stated percentages", () => {
+  data.parties.forEach((party) => {
+    const stated = coordinates.fromPolitical(getSignedPosition(party));
+    const center = coordinates.getIconCenter(party.position);
+
+    assert.ok(
+      Math.abs(center.x - stated.x) <= ROUNDING_TOLERANCE,
+      `${party.shortName}: x ${center.x} vs ${stated.x}`,
+    );
+    assert.ok(
+      Math.abs(center.y - stated.y) <= ROUNDING_TOLERANCE,
+      `${party.shortName}: y ${center.y} vs ${stated.y}`,
+    );
+  });
+});
+
+test("the marker sits exactly at the reported average", () => {
+  const parties = findParties("PVV", "VVD", "NSC", "BBB");
+  const seats = parties.map(
+    (party) => party.electionResults.tk2023?.seats ?? 0,
+  );
+
+  [null, seats].forEach((weights) => {
+    const average = CompassCoordinates.averagePosition(
+      parties.map((party) => getSignedPosition(party)),
+      weights,
+    );
+    const marker = coordinates.fromPolitical(average);
+
+    assertClose(coordinates.toPolitical(marker), average);
+  });
+});
+
+test("parties without seats do not pull the weighted average", () => {
+  const positions = [
+    { horizontal: 20, vertical: -10 },
+    { horizontal: -80, vertical: 60 },
+  ];
+
+  assert.deepEqual(CompassCoordinates.averagePosition(positions, [10, 0]), {
+    horizontal: 20,
+    vertical: -10,
+  });
+});
+
+test("equal weights are used when no party has seats", () => {
+  const positions = [
+    { horizontal: 20, vertical: -10 },
+    { horizontal: -80, vertical: 60 },
+  ];
+
+  assert.deepEqual(CompassCoordinates.averagePosition(positions, [0, 0]), {
+    horizontal: -30,
+    vertical: 25,
+  });
+  assert.equal(CompassCoordinates.averagePosition([]), null);
+});
+
+test("distances are measured in percentage points", () => {
+  assert.equal(
+    getDistance(
+      { horizontal: -30, vertical: 10 },
+      { horizontal: 0, vertical: 50 },
+    ),
+    50,
+  );
+});
+
+test("the quadrant follows the negative left and top of the compass", () => {
+  assert.equal(getQuadrant({ horizontal: -18, vertical: -1 }), "top-left");
+  assert.equal(getQuadrant({ horizontal: 23, vertical: 19.8 }), "bottom-right");
+  assert.equal(getQuadrant({ horizontal: 0, vertical: 0 }), "bottom-right");
+});
+
+test("a placed position is clamped to the compass and rounded", () => {
+  assert.deepEqual(normalizePosition({ horizontal: 123, vertical: -12.345 }), {
+    horizontal: 100,
+    vertical: -12.3,
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Party positions, seats and coalition metrics as CSV or JSON for
+ * spreadsheets, shared by the page (parser.js) and the generator
+ * (generate-data.js).
+ */
+
+import { CompassCoordinates, getSignedPosition } from "./coordinates.mjs";
+
+// Spreadsheet programs only read a CSV file as UTF-8 with a byte order mark
+const CSV_BOM = "\uFEFF";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get one row per party: names, signed percentages (negative is the left
+ * or top of the compass), the icon centre in SVG (viewBox) units and the seats per
+ * result set, null when the party took no part. `coalition` optionally
+ * adds each party's role in it: "member", "supporting" or "".
+ */
+export function getPartyRows(data, coalition = null) {
+  const coordinates = new CompassCoordinates(data.dimensions);
+  const resultsKeys = Object.keys(data.electionResults);
+
+  return data.parties.map((party) => {
+    const { horizontal, vertical } = getSignedPosition(party, data.axes);
+    const svg = coordinates.toViewBox(
+      coordinates.getIconCenter(party.position),
+    );
+
+    return {
+      name: party.name,
+      shortName: party.shortName,
+      ...(coalition && { role: getRole(coalition, party.shortName) }),
+      horizontal,
+      vertical,
+      svgX: round(svg.x),
+      svgY: round(svg.y),
+      seats: Object.fromEntries(
+        resultsKeys.map((key) => [
+          key,
+          party.electionResults[key]?.seats ?? null,
+        ]),
+      ),
+    };
+  });
+}
+
+function getRole(coalition, shortName) {
+  if (coalition.parties.includes(shortName)) return "member";
+  if (coalition.supporting.includes(shortName)) return "supporting";
+  return "";
+}
+
+/**
+ * Get the aggregate metrics of a coalition. `coalition` has the member
+ * and supporting short names, whether the average is weighted, the result
+ * set, the seats and the average position and spread as computed for the
+ * page; this adds the marker in SVG units.
+ */
+export function getCoalitionSummary(data, coalition) {
+  const coordinates = new CompassCoordinates(data.dimensions);
+  const svg = coordinates.toViewBox(coordinates.fromPolitical(coalition));
+
+  return {
+    name: coalition.name,
+    parties: coalition.parties,
+    supporting: coalition.supporting,
+    weighted: coalition.weighted,
+    resultsKey: coalition.resultsKey,
+    seats: coalition.seats,
+    supportingSeats: coalition.supportingSeats,
+    horizontal: round(coalition.horizontal),
+    vertical: round(coalition.vertical),
+    svgX: round(svg.x),
+    svgY: round(svg.y),
+    spread: round(coalition.spread),
+  };
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function formatCsvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format the parties as CSV, with a column per result set. A coalition
+ * adds a role column and a final row with its totals and average position.
+ */
+export function formatCsv(data, coalition = null) {
+  const resultsKeys = Object.keys(data.electionResults);
+  const header = [
+    "name",
+    "shortName",
+    ...(coalition ? ["role"] : []),
+    "horizontal",
+    "vertical",
+    "svgX",
+    "svgY",
+    ...resultsKeys.map((key) => `seats_${key}`),
+    ...(coalition ? ["spread"] : []),
+  ];
+
+  const rows = getPartyRows(data, coalition).map((row) => [
+    row.name,
+    row.shortName,
+    ...(coalition ? [row.role] : []),
+    row.horizontal,
+    row.vertical,
+    row.svgX,
+    row.svgY,
+    ...resultsKeys.map((key) => row.seats[key]),
+    ...(coalition ? [""] : []),
+  ]);
+
+  if (coalition) {
+    const summary = getCoalitionSummary(data, coalition);
+    const seatsByKey = (key) =>
+      data.parties
+        .filter((party) => summary.parties.includes(party.shortName))
+        .reduce(
+          (sum, party) => sum + (party.electionResults[key]?.seats ?? 0),
+          0,
+        );
+
+    rows.push([
+      summary.name,
+      summary.parties.join(" + "),
+      "coalition",
+      summary.horizontal,
+      summary.vertical,
+      summary.svgX,
+      summary.svgY,
+      ...resultsKeys.map(seatsByKey),
+      summary.spread,
+    ]);
+  }
+
+  return (
+    CSV_BOM +
+    [header, ...rows]
+      .map((row) => row.map(formatCsvField).join(","))
+      .join("\r\n") +
+    "\r\n"
+  );
+}
+
+/**
+ * Format the parties, the result sets and optionally the coalition as JSON
+ */
+export function formatJson(data, coalition = null) {
+  return JSON.stringify(
+    {
+      generatedAt: data.generatedAt,
+      electionResults: Object.fromEntries(
+        Object.entries(data.electionResults).map(([key, results]) => [
+          key,
+          { label: results.label, chamber: results.chamber },
+        ]),
+      ),
+      parties: getPartyRows(data, coalition),
+      ...(coalition && { coalition: getCoalitionSummary(data, coalition) }),
+    },
+    null,
+    2,
+  );
+}
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { CompassCoordinates } from "./coordinates.mjs";
+import { formatCsv, formatJson, getPartyRows } from "./data-export.mjs";
+
+const data = JSON.parse(
+  readFileSync(new URL("./parties-data.json", import.meta.url), "utf-8"),
+);
+const coordinates = new CompassCoordinates(data.dimensions);
+
+const COALITION = {
+  name: "Rechts, midden",
+  parties: ["VVD", "CDA"],
+  supporting: ["PVV"],
+  weighted: false,
+  resultsKey: "tk2025",
+  seats: 40,
+  supportingSeats: 26,
+  horizontal: 40.5,
+  vertical: 23.5,
+  spread: 61.47,
+};
+
+// Split the CSV into lines of fields, unquoting quoted fields
+const parseCsv = (csv) =>
+  csv
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .split("\r\n")
+    .map((line) =>
+      Array.from(
+        line.matchAll(/(?:^|,)(?:"((?:[^"]|"")*)"|([^,]*))/g),
+        (match) =>
+          match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2],
+      ),
+    );
+
+test("every party has signed percentages, SVG units and seats", () => {
+  const rows = getPartyRows(data);
+  const vvd = rows.find((row) => row.shortName === "VVD");
+  const party = data.parties.find((party) => party.shortName === "VVD");
+  const center = coordinates.toViewBox(
+    coordinates.getIconCenter(party.position),
+  );
+
+  assert.equal(rows.length, data.partyCount);
+  assert.equal(vvd.horizontal, party.politicalPosition.horizontal.value);
+  assert.ok(Math.abs(vvd.svgX - center.x) < 0.01);
+  assert.ok(Math.abs(vvd.svgY - center.y) < 0.01);
+  assert.deepEqual(Object.keys(vvd.seats), Object.keys(data.electionResults));
+});
+
+test("the CSV has a column per result set and a row per party", () => {
+  const [header, ...rows] = parseCsv(formatCsv(data));
+
+  assert.deepEqual(header, [
+    "name",
+    "shortName",
+    "horizontal",
+    "vertical",
+    "svgX",
+    "svgY",
+    ...Object.keys(data.electionResults).map((key) => `seats_${key}`),
+  ]);
+  assert.equal(rows.length, data.partyCount);
+});
+
+test("a coalition adds roles and a totals row, names are quoted", () => {
+  const lines = parseCsv(formatCsv(data, COALITION));
+  const roleOf = (shortName) => lines.find((line) => line[1] === shortName)[2];
+  const totals = lines[lines.length - 1];
+
+  assert.equal(roleOf("VVD"), "member");
+  assert.equal(roleOf("PVV"), "supporting");
+  assert.equal(roleOf("D66"), "");
+  assert.equal(totals[0], "Rechts, midden");
+  assert.equal(totals[2], "coalition");
+  assert.equal(totals[totals.length - 1], "61.47");
+  assert.ok(formatCsv(data, COALITION).includes('"Rechts, midden"'));
+});
+
+test("the JSON export holds the coalition metrics", () => {
+  const exported = JSON.parse(formatJson(data, COALITION));
+  const marker = coordinates.toViewBox(coordinates.fromPolitical(COALITION));
+
+  assert.equal(exported.parties.length, data.partyCount);
+  assert.equal(exported.coalition.seats, 40);
+  assert.equal(exported.coalition.supportingSeats, 26);
+  assert.ok(Math.abs(exported.coalition.svgX - marker.x) < 0.01);
+  assert.equal(JSON.parse(formatJson(data)).coalition, undefined);
+});
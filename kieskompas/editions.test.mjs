@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createRequire } from "node:module";
+
+const OfflineKieskompasParser = createRequire(import.meta.url)(
+  "./generate-data.js",
+);
+
+const svgPath = new URL("./kompas.svg", import.meta.url).pathname;
+
+/**
+ * Write an earlier edition of the compass: GroenLinks and the PvdA still
+ * separate (the current PvdA-GL and SP icons), no SP, and the VVD further
+ * to the left
+ */
+const writeEarlierEdition = (directory) => {
+  const editionPath = path.join(directory, "2023.svg");
+  writeFileSync(
+    editionPath,
+    readFileSync(svgPath, "utf-8")
+      .replaceAll("Partij van de Arbeid/GroenLinks", "GroenLinks")
+      .replaceAll("Socialistische Partij", "Partij van de Arbeid")
+      .replace(
+        "Volkspartij voor Vrijheid en Democratie: 69% rechts",
+        "Volkspartij voor Vrijheid en Democratie: 49% rechts",
+      ),
+  );
+  return editionPath;
+};
+
+const parseWithEdition = async () => {
+  const directory = mkdtempSync(path.join(tmpdir(), "kieskompas-"));
+  try {
+    const parser = new OfflineKieskompasParser(
+      svgPath,
+      path.join(directory, "parties-data.json"),
+      [],
+      { editionPaths: [writeEarlierEdition(directory)] },
+    );
+    return await parser.parse();
+  } finally {
+    rmSync(directory, { recursive: true });
+  }
+};
+
+const data = await parseWithEdition();
+const findParty = (shortName) =>
+  data.parties.find((party) => party.shortName === shortName);
+
+test("editions are listed oldest first, the current one last", () => {
+  assert.deepEqual(data.editions, ["2023", data.currentEdition]);
+});
+
+test("the current edition is the party's own position", () => {
+  const vvd = findParty("VVD");
+
+  assert.deepEqual(vvd.editions[data.currentEdition], {
+    title: vvd.title,
+    position: vvd.position,
+    politicalPosition: vvd.politicalPosition,
+  });
+  assert.equal(vvd.editions["2023"].politicalPosition.horizontal.value, 49);
+});
+
+test("merged parties start at the average of their predecessors", () => {
+  const edition = findParty("PvdA-GL").editions["2023"];
+
+  assert.deepEqual(edition.mergedFrom, ["GroenLinks", "Partij van de Arbeid"]);
+  // (-62 + -81) / 2, rounded
+  assert.deepEqual(edition.politicalPosition.horizontal, {
+    value: 72,
+    direction: "links",
+  });
+});
+
+test("parties missing from an edition have no position in it", () => {
+  assert.equal(findParty("SP").editions["2023"], null);
+});
@@ -0,0 +1,105 @@
+/**
+ * Message protocol between the page in embed mode (`?embed=1`) and the
+ * page that embeds it in an iframe.
+ *
+ * The host sends `{ type: "kieskompas:set", parties, supporting, weighted,
+ * results }` with any of the fields, or `{ type: "kieskompas:get" }`. The
+ * widget posts `kieskompas:ready` once the data is loaded, then
+ * `kieskompas:change` with the selection and its stats after every change,
+ * and `kieskompas:error` for messages it cannot handle.
+ */
+
+export const MESSAGE_PREFIX = "kieskompas:";
+
+export class EmbedMessageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EmbedMessageError";
+  }
+}
+
+const isShortNameList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+/**
+ * Read a message from the host page. Returns null for messages of other
+ * scripts, throws an EmbedMessageError for malformed ones.
+ */
+export function parseHostMessage(data) {
+  if (
+    !data ||
+    typeof data.type !== "string" ||
+    !data.type.startsWith(MESSAGE_PREFIX)
+  ) {
+    return null;
+  }
+
+  const type = data.type.slice(MESSAGE_PREFIX.length);
+  if (type === "get") return { type };
+  if (type !== "set") {
+    throw new EmbedMessageError(`Unknown message type "${data.type}"`);
+  }
+
+  const command = { type };
+  ["parties", "supporting"].forEach((field) => {
+    if (data[field] === undefined) return;
+    if (!isShortNameList(data[field])) {
+      throw new EmbedMessageError(`"${field}" must be a list of short names`);
+    }
+    command[field] = data[field];
+  });
+  if (data.weighted !== undefined) {
+    if (typeof data.weighted !== "boolean") {
+      throw new EmbedMessageError('"weighted" must be true or false');
+    }
+    command.weighted = data.weighted;
+  }
+  if (data.results !== undefined) {
+    if (typeof data.results !== "string") {
+      throw new EmbedMessageError('"results" must be a result set key');
+    }
+    command.results = data.results;
+  }
+  return command;
+}
+
+/**
+ * Connects the widget to its host page. Only messages from the parent
+ * window are handled, and only from `origin` when one is given; replies go
+ * to that origin too. Errors thrown by `onCommand` are posted back.
+ */
+export class EmbedBridge {
+  constructor(window, { origin = "*", onCommand }) {
+    this.window = window;
+    this.origin = origin;
+    this.onCommand = onCommand;
+  }
+
+  start() {
+    this.window.addEventListener("message", (event) =>
+      this.handleMessage(event),
+    );
+  }
+
+  handleMessage(event) {
+    // Outside a frame the parent is the widget itself, skip its own posts
+    if (event.source !== this.window.parent || event.source === this.window) {
+      return;
+    }
+    if (this.origin !== "*" && event.origin !== this.origin) return;
+
+    try {
+      const command = parseHostMessage(event.data);
+      if (command) this.onCommand(command);
+    } catch (error) {
+      this.post("error", { message: error.message });
+    }
+  }
+
+  post(type, payload = {}) {
+    this.window.parent.postMessage(
+      { type: `${MESSAGE_PREFIX}${type}`, ...payload },
+      this.origin,
+    );
+  }
+}
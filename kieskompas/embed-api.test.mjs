@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import { EmbedBridge, parseHostMessage } from "./embed-api.mjs";
+
+const { JSDOM } = createRequire(import.meta.url)("jsdom");
+
+/**
+ * A widget window inside a host page, recording what it posts to the host
+ */
+const createFrame = () => {
+  const posted = [];
+  const parent = {
+    postMessage: (message, origin) => posted.push({ message, origin }),
+  };
+  return { window: { parent }, parent, posted };
+};
+
+test("messages of other scripts are ignored", () => {
+  assert.equal(parseHostMessage(null), null);
+  assert.equal(parseHostMessage("kieskompas:set"), null);
+  assert.equal(parseHostMessage({ type: "resize" }), null);
+});
+
+test("a set message may carry any of its fields", () => {
+  assert.deepEqual(
+    parseHostMessage({
+      type: "kieskompas:set",
+      parties: ["VVD", "CDA"],
+      weighted: true,
+      extra: 1,
+    }),
+    { type: "set", parties: ["VVD", "CDA"], weighted: true },
+  );
+  assert.deepEqual(parseHostMessage({ type: "kieskompas:get" }), {
+    type: "get",
+  });
+});
+
+test("malformed messages are rejected", () => {
+  assert.throws(() => parseHostMessage({ type: "kieskompas:reset" }));
+  assert.throws(() =>
+    parseHostMessage({ type: "kieskompas:set", parties: "VVD" }),
+  );
+  assert.throws(() =>
+    parseHostMessage({ type: "kieskompas:set", weighted: "ja" }),
+  );
+});
+
+test("commands only come from the parent at the given origin", () => {
+  const frame = createFrame();
+  const commands = [];
+  const bridge = new EmbedBridge(frame.window, {
+    origin: "https://partner.example",
+    onCommand: (command) => commands.push(command),
+  });
+  const message = { type: "kieskompas:get" };
+
+  bridge.handleMessage({
+    source: {},
+    origin: "https://partner.example",
+    data: message,
+  });
+  bridge.handleMessage({
+    source: frame.parent,
+    origin: "https://evil.example",
+    data: message,
+  });
+  bridge.handleMessage({
+    source: frame.parent,
+    origin: "https://partner.example",
+    data: message,
+  });
+
+  assert.deepEqual(commands, [{ type: "get" }]);
+});
+
+test("errors are posted back to the host", () => {
+  const frame = createFrame();
+  const bridge = new EmbedBridge(frame.window, {
+    onCommand: () => {
+      throw new Error("Unknown parties: XYZ");
+    },
+  });
+
+  bridge.handleMessage({
+    source: frame.parent,
+    origin: "https://partner.example",
+    data: { type: "kieskompas:set", parties: ["XYZ"] },
+  });
+
+  assert.deepEqual(frame.posted, [
+    {
+      message: { type: "kieskompas:error", message: "Unknown parties: XYZ" },
+      origin: "*",
+    },
+  ]);
+});
+
+test("outside a frame the widget ignores its own messages", () => {
+  const window = {};
+  window.parent = window;
+  const commands = [];
+  const bridge = new EmbedBridge(window, {
+    onCommand: (command) => commands.push(command),
+  });
+
+  bridge.handleMessage({ source: window, data: { type: "kieskompas:get" } });
+
+  assert.deepEqual(commands, []);
+});
+
+test("the embedded page hides the explainer and the source", () => {
+  const { document } = new JSDOM(
+    readFileSync(new URL("./index.html", import.meta.url), "utf-8"),
+  ).window;
+  document.body.classList.add("embed");
+
+  const explainer = document.querySelector('[data-i18n="page.explainer"]');
+  const source = document.querySelector('[data-i18n="page.source"]');
+
+  assert.ok(explainer.textContent.includes("Selecteer politieke partijen"));
+  assert.ok(explainer.matches(".embed .embed-hidden"));
+  assert.ok(source.closest(".embed .embed-hidden"));
+});
@@ -1,115 +1,401 @@
 #!/usr/bin/env node
 /**
- * Offline script to parse the Kieskompas SVG and generate a JSON file
- * Run with: node generate-data.js
+ * Offline script to parse the Kieskompas SVG and generate a JSON file,
+ * plus a logo image per party next to it
+ * Run with: node generate-data.js [options], see --help
  */
 
 const fs = require("fs");
 const path = require("path");
+const { parseArgs } = require("util");
 const { JSDOM } = require("jsdom");
+const { Resvg } = require("@resvg/resvg-js");
+const { validateData, ValidationError } = require("./validate-data");
+
+const EXIT_CODES = {
+  OK: 0,
+  OUT_OF_DATE: 1,
+  USAGE: 2,
+  PARSE_FAILURE: 3,
+  VALIDATION_FAILURE: 4,
+};
+
+// Logos are embedded as 128 x 128 PNGs but shown at 32 pixels at most,
+// so store them at twice that for sharp rendering on high-DPI screens
+const LOGO_SIZE = 64;
+const LOGO_DIR = "logos";
+
+// The edition of the compass in kompas.svg, earlier editions are read from
+// editions/ and named after their file, e.g. editions/2023.svg is "2023"
+const CURRENT_EDITION = "2025";
+
+const SHORT_NAMES = {
+  "Volkspartij voor Vrijheid en Democratie": "VVD",
+  "Partij Voor de Vrijheid": "PVV",
+  DENK: "DENK",
+  "Partij van de Arbeid/GroenLinks": "PvdA-GL",
+  "Socialistische Partij": "SP",
+  BoerBurgerBeweging: "BBB",
+  "Democraten 66": "D66",
+  "Christen-Democratisch Appèl": "CDA",
+  "Partij voor de Dieren": "PvdD",
+  "Forum voor Democratie": "FvD",
+  "Staatkundig Gereformeerde Partij": "SGP",
+  JA21: "JA21",
+  "50PLUS": "50PLUS",
+  "Nieuw Sociaal Contract": "NSC",
+  ChristenUnie: "CU",
+  Volt: "Volt",
+};
+
+// Parties on earlier compasses that continue under another name on the
+// current one; parties with the same successor are merged into it
+const PARTY_SUCCESSORS = {
+  "Partij van de Arbeid": "PvdA-GL",
+  GroenLinks: "PvdA-GL",
+};
+
+const USAGE = `Usage: node generate-data.js [options]
+
+Options:
+  -i, --input <svg>      Kieskompas SVG to parse (default: kompas.svg)
+  -o, --output <json>    JSON file to write (default: parties-data.json),
+                         the logos are written to logos/ next to it
+  -r, --results <json>   Seat results file, repeat for several result sets;
+                         the first one per chamber is the default in the UI
+                         (default: every file in results/, newest first)
+  -E, --edition <svg>    Earlier compass edition to trace the parties in,
+                         repeat for several editions, oldest first
+                         (default: every file in editions/, by name)
+  -e, --export <file>    Also export the parties as CSV or JSON for
+                         spreadsheets, by extension (.csv or .json);
+                         repeat for several files, works with --dry-run
+      --dry-run          Parse and print a summary without writing
+      --check            Exit with code 1 when the output is out of date
+      --strict           Fail when the parsed data has validation issues
+  -h, --help             Show this help
+
+Exit codes:
+  0  Success, or the output is up to date
+  1  The output is out of date (--check)
+  2  Invalid command-line arguments
+  3  The SVG or a results file could not be read or parsed,
+     or an export could not be written
+  4  The parsed data has validation issues (--strict)`;
+
+/**
+ * Get an axis position as a signed percentage, negative for the
+ * `negative` direction of `axis`
+ */
+function toSigned(axisPosition, axis) {
+  if (!axisPosition) return 0;
+  return axisPosition.direction === axis.positive
+    ? axisPosition.value
+    : -axisPosition.value;
+}
+
+/**
+ * Get a signed percentage as a rounded axis position with its direction
+ */
+function fromSigned(value, axis) {
+  return {
+    value: Math.round(Math.abs(value)),
+    direction: value >= 0 ? axis.positive : axis.negative,
+  };
+}
 
 class OfflineKieskompasParser {
-  constructor(svgPath, outputPath) {
+  constructor(
+    svgPath,
+    outputPath,
+    resultsPaths = [],
+    { strict = false, editionPaths = [] } = {},
+  ) {
     this.svgPath = svgPath;
     this.outputPath = outputPath;
+    this.resultsPaths = resultsPaths;
+    this.editionPaths = editionPaths;
+    this.strict = strict;
     this.svgDoc = null;
+    this.electionResults = null;
+    this.editions = null;
   }
 
   /**
    * Load and parse the SVG file from filesystem
    */
   load() {
-    try {
-      console.log(`Reading SVG from: ${this.svgPath}`);
-      const svgText = fs.readFileSync(this.svgPath, "utf-8");
-
-      // Parse the SVG XML using JSDOM
-      const dom = new JSDOM(svgText, { contentType: "image/svg+xml" });
-      this.svgDoc = dom.window.document;
-
-      console.log("✓ SVG loaded and parsed successfully");
-      return this.svgDoc;
-    } catch (error) {
-      console.error("Error loading SVG:", error);
-      throw error;
-    }
+    console.log(`Reading SVG from: ${this.svgPath}`);
+    const svgText = fs.readFileSync(this.svgPath, "utf-8");
+
+    // Parse the SVG XML using JSDOM
+    const dom = new JSDOM(svgText, { contentType: "image/svg+xml" });
+    this.svgDoc = dom.window.document;
+
+    console.log("✓ SVG loaded and parsed successfully");
+    return this.svgDoc;
   }
 
   /**
-   * Get the axis labels from the compass
+   * Get the axis labels from the compass. Each label belongs to the side of
+   * the viewBox its anchor point is closest to, whatever its text, size or
+   * rotation.
    */
   getAxisLabels() {
     if (!this.svgDoc) return null;
 
-    const textElements = this.svgDoc.querySelectorAll("svg > text");
+    const [minX, minY, width, height] = this.svgDoc
+      .querySelector("svg")
+      .getAttribute("viewBox")
+      .split(/[\s,]+/)
+      .map(parseFloat);
     const labels = {};
 
-    textElements.forEach((text) => {
+    this.svgDoc.querySelectorAll("svg > text").forEach((text) => {
       const content = text.textContent.trim();
-      const y = parseFloat(text.getAttribute("y"));
-
-      if (y < 100) labels.top = content;
-      else if (y > 600) labels.bottom = content;
-      else {
-        const transform = text.getAttribute("transform");
-        if (transform && transform.includes("-90")) {
-          labels.left = content;
-        } else if (transform && transform.includes("90")) {
-          labels.right = content;
-        }
+      if (!content) return;
+
+      // Offset of the anchor point from the centre, as a fraction of the
+      // viewBox so that wide and tall compasses work alike
+      const dx = ((parseFloat(text.getAttribute("x")) || 0) - minX) / width;
+      const dy = ((parseFloat(text.getAttribute("y")) || 0) - minY) / height;
+      if (Math.abs(dy - 0.5) >= Math.abs(dx - 0.5)) {
+        labels[dy < 0.5 ? "top" : "bottom"] = content;
+      } else {
+        labels[dx < 0.5 ? "left" : "right"] = content;
       }
     });
 
     return labels;
   }
 
+  /**
+   * Get the directions of both axes from the axis labels, as used in the
+   * party titles: negative is left and top, positive is right and bottom,
+   * like the compass percentages
+   */
+  getAxes() {
+    const labels = this.getAxisLabels();
+    const missing = ["top", "bottom", "left", "right"].filter(
+      (side) => !labels[side],
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `No axis label found at the ${missing.join(", ")} of ${this.svgPath}`,
+      );
+    }
+
+    const direction = (label) => label.toLowerCase();
+    return {
+      horizontal: {
+        negative: direction(labels.left),
+        positive: direction(labels.right),
+      },
+      vertical: {
+        negative: direction(labels.top),
+        positive: direction(labels.bottom),
+      },
+    };
+  }
+
+  /**
+   * Get a party's stated position from its title, like "Partij: 69% rechts,
+   * 35% conservatief.". The directions are matched to the axes, in either
+   * order; an axis is null when the title does not state it.
+   */
+  parsePoliticalPosition(titleText, axes) {
+    const position = { horizontal: null, vertical: null };
+    const match = titleText
+      .trim()
+      .match(/(\d+)%\s+([^,]+?)\s*,\s*(\d+)%\s+(.+?)\.?$/);
+    if (!match) return position;
+
+    [
+      [match[1], match[2]],
+      [match[3], match[4]],
+    ].forEach(([value, stated]) => {
+      const direction = stated.toLowerCase();
+      const axis = Object.keys(axes).find((key) =>
+        [axes[key].negative, axes[key].positive].includes(direction),
+      );
+      if (axis) {
+        position[axis] = { value: parseInt(value), direction };
+      }
+    });
+    return position;
+  }
+
   /**
    * Get short name for a party
    */
   getShortName(fullName) {
-    const shortNames = {
-      "Volkspartij voor Vrijheid en Democratie": "VVD",
-      "Partij Voor de Vrijheid": "PVV",
-      DENK: "DENK",
-      "Partij van de Arbeid/GroenLinks": "PvdA-GL",
-      "Socialistische Partij": "SP",
-      BoerBurgerBeweging: "BBB",
-      "Democraten 66": "D66",
-      "Christen-Democratisch Appèl": "CDA",
-      "Partij voor de Dieren": "PvdD",
-      "Forum voor Democratie": "FvD",
-      "Staatkundig Gereformeerde Partij": "SGP",
-      JA21: "JA21",
-      "50PLUS": "50PLUS",
-      "Nieuw Sociaal Contract": "NSC",
-      ChristenUnie: "CU",
-      Volt: "Volt",
-    };
-    return shortNames[fullName] || fullName;
+    return SHORT_NAMES[fullName] || fullName;
   }
 
   /**
-   * Get 2025 election results (hardcoded data)
+   * Check whether a party has a known short name
    */
-  getElectionResults2025() {
-    return {
-      D66: { seats: 26 },
-      PVV: { seats: 26 },
-      VVD: { seats: 22 },
-      "PvdA-GL": { seats: 20 },
-      CDA: { seats: 18 },
-      JA21: { seats: 9 },
-      FvD: { seats: 7 },
-      BBB: { seats: 4 },
-      DENK: { seats: 3 },
-      CU: { seats: 3 },
-      SP: { seats: 3 },
-      SGP: { seats: 3 },
-      PvdD: { seats: 3 },
-      "50PLUS": { seats: 2 },
-      Volt: { seats: 1 },
-      NSC: { seats: 0 },
+  isKnownParty(fullName) {
+    return fullName in SHORT_NAMES;
+  }
+
+  /**
+   * Get every results file in a directory, newest (highest name) first
+   */
+  static getDefaultResultsPaths(resultsDir) {
+    return fs
+      .readdirSync(resultsDir)
+      .filter((file) => file.endsWith(".json"))
+      .sort()
+      .reverse()
+      .map((file) => path.join(resultsDir, file));
+  }
+
+  /**
+   * Get every earlier compass edition in a directory, oldest (lowest name)
+   * first, none when there is no such directory
+   */
+  static getDefaultEditionPaths(editionsDir) {
+    if (!fs.existsSync(editionsDir)) return [];
+
+    return fs
+      .readdirSync(editionsDir)
+      .filter((file) => file.endsWith(".svg"))
+      .sort()
+      .map((file) => path.join(editionsDir, file));
+  }
+
+  /**
+   * Parse the earlier compass editions. Their parties are matched to the
+   * current compass by short name, through PARTY_SUCCESSORS for parties
+   * that merged or were renamed since.
+   */
+  loadEditions() {
+    this.editions = this.editionPaths.map((editionPath) => {
+      const key = path.basename(editionPath, path.extname(editionPath));
+      const edition = new OfflineKieskompasParser(editionPath, null);
+      edition.load();
+      edition.electionResults = {};
+
+      const parties = new Map();
+      edition.getParties().forEach((party) => {
+        const shortName = PARTY_SUCCESSORS[party.name] || party.shortName;
+        parties.set(shortName, [...(parties.get(shortName) || []), party]);
+      });
+
+      return {
+        key,
+        iconSize: edition.getSVGDimensions().iconSize,
+        axes: edition.getAxes(),
+        parties,
+      };
+    });
+
+    console.log(`✓ Loaded ${this.editions.length} earlier editions`);
+    return this.editions;
+  }
+
+  /**
+   * Get a party's position in every edition, oldest first and the current
+   * compass last, null where it was not on the compass. Icon positions are
+   * converted to the icon size of the current compass; merged parties are
+   * placed at the average of their predecessors.
+   */
+  getPartyEditions(party, iconSize, axes) {
+    const editions = {};
+
+    this.editions.forEach((edition) => {
+      const predecessors = edition.parties.get(party.shortName);
+      if (!predecessors) {
+        editions[edition.key] = null;
+        return;
+      }
+
+      const average = (getValue) =>
+        predecessors.reduce(
+          (sum, predecessor) => sum + getValue(predecessor),
+          0,
+        ) / predecessors.length;
+      // Earlier editions may word the directions differently
+      const politicalPosition = {
+        horizontal: fromSigned(
+          average((p) =>
+            toSigned(p.politicalPosition.horizontal, edition.axes.horizontal),
+          ),
+          axes.horizontal,
+        ),
+        vertical: fromSigned(
+          average((p) =>
+            toSigned(p.politicalPosition.vertical, edition.axes.vertical),
+          ),
+          axes.vertical,
+        ),
+      };
+      const offset = (edition.iconSize - iconSize) / 2;
+      const names = predecessors.map((predecessor) => predecessor.name);
+
+      editions[edition.key] = {
+        title: `${names.join(" + ")}: ${politicalPosition.horizontal.value}% ${politicalPosition.horizontal.direction}, ${politicalPosition.vertical.value}% ${politicalPosition.vertical.direction}.`,
+        position: {
+          x: average((p) => p.position.x) + offset,
+          y: average((p) => p.position.y) + offset,
+        },
+        politicalPosition,
+        ...(predecessors.length > 1 ? { mergedFrom: names } : {}),
+      };
+    });
+
+    editions[CURRENT_EDITION] = {
+      title: party.title,
+      position: party.position,
+      politicalPosition: party.politicalPosition,
     };
+    return editions;
+  }
+
+  /**
+   * Load the seat result sets (elections, polls) from JSON files.
+   * Each file is stored under its file name without extension, e.g.
+   * results/tk2025.json becomes "tk2025". Sets are for the Tweede Kamer
+   * unless their `chamber` says otherwise, `otherSeats` holds the seats of
+   * parties that are not on the compass.
+   */
+  loadElectionResults() {
+    this.electionResults = {};
+
+    this.resultsPaths.forEach((resultsPath) => {
+      const key = path.basename(resultsPath, path.extname(resultsPath));
+      console.log(`Reading results "${key}" from: ${resultsPath}`);
+      const { label, chamber, seats, otherSeats } = JSON.parse(
+        fs.readFileSync(resultsPath, "utf-8"),
+      );
+
+      this.electionResults[key] = {
+        label: label || key,
+        chamber: chamber || "tweede-kamer",
+        seats,
+        ...(otherSeats ? { otherSeats } : {}),
+      };
+    });
+
+    console.log(
+      `✓ Loaded ${Object.keys(this.electionResults).length} result sets`,
+    );
+    return this.electionResults;
+  }
+
+  /**
+   * Get the seats of a party in every loaded result set
+   */
+  getPartyElectionResults(shortName) {
+    const partyResults = {};
+
+    Object.entries(this.electionResults).forEach(([key, results]) => {
+      partyResults[key] =
+        shortName in results.seats ? { seats: results.seats[shortName] } : null;
+    });
+
+    return partyResults;
   }
 
   /**
@@ -120,7 +406,7 @@ class OfflineKieskompasParser {
 
     const parties = [];
     const partyGroups = this.svgDoc.querySelectorAll(".CompassParty");
-    const electionResults = this.getElectionResults2025();
+    const axes = this.getAxes();
 
     console.log(`Found ${partyGroups.length} parties`);
 
@@ -136,38 +422,16 @@ class OfflineKieskompasParser {
       const x = parseFloat(svg.getAttribute("x"));
       const y = parseFloat(svg.getAttribute("y"));
 
-      // Extract position information from title
-      const positionMatch = titleText.match(/(\d+)%\s+(\w+),\s+(\d+)%\s+(\w+)/);
-
-      let position = { horizontal: null, vertical: null };
-      if (positionMatch) {
-        position = {
-          horizontal: {
-            value: parseInt(positionMatch[1]),
-            direction: positionMatch[2],
-          },
-          vertical: {
-            value: parseInt(positionMatch[3]),
-            direction: positionMatch[4],
-          },
-        };
-      }
-
-      // Extract image data if present
-      const image = svg.querySelector("image");
-      const imageHref = image ? image.getAttribute("href") : null;
-
       const shortName = this.getShortName(name);
-      const electionData = electionResults[shortName] || null;
 
       parties.push({
         name,
         shortName,
         title: titleText,
         position: { x, y },
-        politicalPosition: position,
-        imageHref: imageHref ? imageHref.substring(0, 50) + "..." : null,
-        electionResults2025: electionData,
+        politicalPosition: this.parsePoliticalPosition(titleText, axes),
+        logo: this.getLogoImage(svg) ? this.getLogoPath(shortName) : null,
+        electionResults: this.getPartyElectionResults(shortName),
       });
     });
 
@@ -175,17 +439,76 @@ class OfflineKieskompasParser {
   }
 
   /**
-   * Get SVG dimensions and viewBox
+   * Get the embedded logo of a party icon as a data URL, if present
+   */
+  getLogoImage(iconSvg) {
+    const image = iconSvg.querySelector("image");
+    const href = image ? image.getAttribute("href") : null;
+    return href && href.startsWith("data:image/") ? href : null;
+  }
+
+  /**
+   * Get the logo file of a party, relative to the output JSON
+   */
+  getLogoPath(shortName) {
+    const fileName = shortName.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    return `${LOGO_DIR}/${fileName}.png`;
+  }
+
+  /**
+   * Scale an embedded logo down to LOGO_SIZE and encode it as PNG
+   */
+  renderLogo(href) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${LOGO_SIZE}" height="${LOGO_SIZE}"><image href="${href}" width="100%" height="100%"/></svg>`;
+    return new Resvg(svg, { fitTo: { mode: "width", value: LOGO_SIZE } })
+      .render()
+      .asPng();
+  }
+
+  /**
+   * Render the logo files referenced from the data, by output path
+   */
+  getLogoFiles() {
+    const files = new Map();
+    this.svgDoc.querySelectorAll(".CompassParty__icon").forEach((iconSvg) => {
+      const href = this.getLogoImage(iconSvg);
+      if (!href) return;
+
+      const shortName = this.getShortName(iconSvg.getAttribute("aria-label"));
+      files.set(
+        path.join(path.dirname(this.outputPath), this.getLogoPath(shortName)),
+        this.renderLogo(href),
+      );
+    });
+    return files;
+  }
+
+  /**
+   * Get SVG dimensions and viewBox, plus the placement of the inner compass
+   * (as percentages of the viewBox) and the size of the party icons
+   * (as a percentage of the inner compass)
    */
   getSVGDimensions() {
     if (!this.svgDoc) return null;
 
     const svg = this.svgDoc.querySelector("svg");
+    const compassSvg = this.svgDoc.querySelector(".Compass__compass");
+    const icon = this.svgDoc.querySelector(".CompassParty__icon");
+
     return {
       width: svg.getAttribute("width"),
       height: svg.getAttribute("height"),
       viewBox: svg.getAttribute("viewBox"),
       class: svg.getAttribute("class"),
+      compass: compassSvg
+        ? {
+            x: parseFloat(compassSvg.getAttribute("x")),
+            y: parseFloat(compassSvg.getAttribute("y")),
+            width: parseFloat(compassSvg.getAttribute("width")),
+            height: parseFloat(compassSvg.getAttribute("height")),
+          }
+        : null,
+      iconSize: icon ? parseFloat(icon.getAttribute("width")) : null,
     };
   }
 
@@ -193,47 +516,278 @@ class OfflineKieskompasParser {
    * Get all data in a structured format
    */
   getAllData() {
-    const parties = this.getParties();
+    const dimensions = this.getSVGDimensions();
+    const axes = this.getAxes();
+    const parties = this.getParties().map((party) => ({
+      ...party,
+      editions: this.getPartyEditions(party, dimensions.iconSize, axes),
+    }));
+
+    // Earlier parties that did not make it to the current compass
+    this.editions.forEach((edition) => {
+      edition.parties.forEach((predecessors, shortName) => {
+        if (!parties.some((party) => party.shortName === shortName)) {
+          console.warn(
+            `⚠ ${predecessors.map((p) => p.name).join(" + ")} (${edition.key}) is not on the current compass`,
+          );
+        }
+      });
+    });
+    const firstOfChamber = (chamber) =>
+      Object.keys(this.electionResults).find(
+        (key) => this.electionResults[key].chamber === chamber,
+      ) || null;
+
     return {
-      dimensions: this.getSVGDimensions(),
+      dimensions,
       axisLabels: this.getAxisLabels(),
+      axes,
       parties: parties,
       partyCount: parties.length,
-      electionResults2025: this.getElectionResults2025(),
+      editions: [
+        ...this.editions.map((edition) => edition.key),
+        CURRENT_EDITION,
+      ],
+      currentEdition: CURRENT_EDITION,
+      electionResults: this.electionResults,
+      defaultElectionResults: firstOfChamber("tweede-kamer"),
+      defaultSenateResults: firstOfChamber("eerste-kamer"),
       generatedAt: new Date().toISOString(),
     };
   }
 
+  /**
+   * Load the inputs and build the data without writing it, resolving once
+   * the data is validated
+   */
+  async parse() {
+    this.load();
+    this.loadElectionResults();
+    this.loadEditions();
+    const data = this.getAllData();
+
+    if (data.partyCount === 0) {
+      throw new Error(`No parties found in ${this.svgPath}`);
+    }
+
+    await this.validate(data);
+    return data;
+  }
+
+  /**
+   * Report everything in the data that does not match the schema or
+   * the seat results, throwing a ValidationError in strict mode
+   */
+  async validate(data) {
+    const issues = await validateData(data, (name) => this.isKnownParty(name));
+
+    issues.forEach((issue) => console.warn(`⚠ ${issue}`));
+    if (issues.length === 0) {
+      console.log("✓ Data passed validation");
+    } else if (this.strict) {
+      throw new ValidationError(issues);
+    }
+
+    return issues;
+  }
+
+  /**
+   * Check whether the existing output and logos match freshly parsed data,
+   * ignoring the generation timestamp
+   */
+  isUpToDate(data) {
+    if (!fs.existsSync(this.outputPath)) return false;
+
+    const existing = JSON.parse(fs.readFileSync(this.outputPath, "utf-8"));
+    const withoutTimestamp = ({ generatedAt, ...rest }) => rest;
+    const logosUpToDate = Array.from(this.getLogoFiles()).every(
+      ([logoPath, png]) =>
+        fs.existsSync(logoPath) && fs.readFileSync(logoPath).equals(png),
+    );
+
+    return (
+      logosUpToDate &&
+      JSON.stringify(withoutTimestamp(existing)) ===
+        JSON.stringify(withoutTimestamp(data))
+    );
+  }
+
+  /**
+   * Print a short overview of the parsed data
+   */
+  printSummary(data) {
+    console.log(`Axis labels: ${JSON.stringify(data.axisLabels)}`);
+    console.log(`Result sets: ${Object.keys(data.electionResults).join(", ")}`);
+    console.log(`Editions: ${data.editions.join(", ")}`);
+    data.parties.forEach((party) => {
+      const seats = Object.entries(party.electionResults)
+        .map(([key, result]) => `${key}=${result ? result.seats : "-"}`)
+        .join(" ");
+      console.log(`  ${party.shortName.padEnd(8)} ${party.title} ${seats}`);
+    });
+  }
+
   /**
    * Generate the JSON file
    */
-  generate() {
-    try {
-      this.load();
-      const data = this.getAllData();
+  async generate() {
+    const data = await this.parse();
+
+    console.log(`Writing data to: ${this.outputPath}`);
+    fs.writeFileSync(
+      this.outputPath,
+      JSON.stringify(data, null, 2) + "\n",
+      "utf-8",
+    );
+
+    const logoFiles = this.getLogoFiles();
+    logoFiles.forEach((png, logoPath) => {
+      fs.mkdirSync(path.dirname(logoPath), { recursive: true });
+      fs.writeFileSync(logoPath, png);
+    });
+
+    console.log("✓ JSON file generated successfully");
+    console.log(`✓ Wrote ${logoFiles.size} logos`);
+    console.log(`✓ Found ${data.partyCount} parties`);
+    console.log(`✓ Output: ${this.outputPath}`);
+
+    return data;
+  }
+}
+
+// Export formats by file extension, formatted by data-export.mjs
+const EXPORT_FORMATS = { ".csv": "formatCsv", ".json": "formatJson" };
+
+/**
+ * Write the party exports for spreadsheets
+ */
+async function writeExports(data, exportPaths) {
+  const dataExport = await import("./data-export.mjs");
+
+  exportPaths.forEach((exportPath) => {
+    const format = EXPORT_FORMATS[path.extname(exportPath).toLowerCase()];
+    fs.writeFileSync(exportPath, dataExport[format](data), "utf-8");
+    console.log(`✓ Export: ${exportPath}`);
+  });
+}
 
-      console.log(`Writing data to: ${this.outputPath}`);
-      fs.writeFileSync(this.outputPath, JSON.stringify(data, null, 2), "utf-8");
+/**
+ * Run the command line interface and resolve to the exit code
+ */
+async function main(args) {
+  let options;
+  try {
+    ({ values: options } = parseArgs({
+      args,
+      options: {
+        input: { type: "string", short: "i" },
+        output: { type: "string", short: "o" },
+        results: { type: "string", short: "r", multiple: true },
+        edition: { type: "string", short: "E", multiple: true },
+        export: { type: "string", short: "e", multiple: true, default: [] },
+        "dry-run": { type: "boolean" },
+        check: { type: "boolean" },
+        strict: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
 
-      console.log("✓ JSON file generated successfully");
-      console.log(`✓ Found ${data.partyCount} parties`);
-      console.log(`✓ Output: ${this.outputPath}`);
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  if (options["dry-run"] && options.check) {
+    console.error(`--dry-run and --check cannot be combined\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.check && options.export.length > 0) {
+    console.error(`--export and --check cannot be combined\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
 
-      return data;
-    } catch (error) {
-      console.error("Error generating data:", error);
-      throw error;
+  const unknownExport = options.export.find(
+    (exportPath) => !(path.extname(exportPath).toLowerCase() in EXPORT_FORMATS),
+  );
+  if (unknownExport) {
+    console.error(
+      `Cannot export ${unknownExport}, use a .csv or .json file\n\n${USAGE}`,
+    );
+    return EXIT_CODES.USAGE;
+  }
+
+  const svgPath = path.resolve(
+    options.input || path.join(__dirname, "kompas.svg"),
+  );
+  const outputPath = path.resolve(
+    options.output || path.join(__dirname, "parties-data.json"),
+  );
+
+  try {
+    const resultsPaths = options.results
+      ? options.results.map((resultsPath) => path.resolve(resultsPath))
+      : OfflineKieskompasParser.getDefaultResultsPaths(
+          path.join(__dirname, "results"),
+        );
+
+    const editionPaths = options.edition
+      ? options.edition.map((editionPath) => path.resolve(editionPath))
+      : OfflineKieskompasParser.getDefaultEditionPaths(
+          path.join(__dirname, "editions"),
+        );
+
+    const parser = new OfflineKieskompasParser(
+      svgPath,
+      outputPath,
+      resultsPaths,
+      { strict: options.strict, editionPaths },
+    );
+
+    if (options["dry-run"]) {
+      const data = await parser.parse();
+      parser.printSummary(data);
+      await writeExports(
+        data,
+        options.export.map((exportPath) => path.resolve(exportPath)),
+      );
+      return EXIT_CODES.OK;
+    }
+
+    if (options.check) {
+      if (!parser.isUpToDate(await parser.parse())) {
+        console.error(`✗ ${outputPath} is out of date, regenerate it`);
+        return EXIT_CODES.OUT_OF_DATE;
+      }
+      console.log(`✓ ${outputPath} is up to date`);
+      return EXIT_CODES.OK;
+    }
+
+    const data = await parser.generate();
+    await writeExports(
+      data,
+      options.export.map((exportPath) => path.resolve(exportPath)),
+    );
+    return EXIT_CODES.OK;
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      console.error(`✗ ${error.message}`);
+      return EXIT_CODES.VALIDATION_FAILURE;
     }
+    console.error("Error parsing input:", error.message);
+    return EXIT_CODES.PARSE_FAILURE;
   }
 }
 
 // Main execution
 if (require.main === module) {
-  const svgPath = path.join(__dirname, "kompas.svg");
-  const outputPath = path.join(__dirname, "parties-data.json");
-
-  const parser = new OfflineKieskompasParser(svgPath, outputPath);
-  parser.generate();
+  main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
 }
 
 module.exports = OfflineKieskompasParser;
@@ -0,0 +1,436 @@
+/**
+ * Interface text in Dutch and English, with number formatting per language.
+ * Messages can have `{name}` placeholders, and a `one` and an `other` form
+ * when they take a `count`. Static text in index.html is
+ * marked with `data-i18n` attributes holding the message key.
+ */
+
+export const LANGUAGES = { nl: "Nederlands", en: "English" };
+export const DEFAULT_LANGUAGE = "nl";
+
+const LOCALES = { nl: "nl-NL", en: "en-GB" };
+
+const MESSAGES = {
+  nl: {
+    "page.title": "Kieskompas Coalitie",
+    "page.heading": "Waar ligt de potentiële coalitie?",
+    "page.explainer":
+      "Selecteer politieke partijen om te zien waar hun gemiddelde positie " +
+      "ligt op het politieke kompas. Met de gewogen optie wordt rekening " +
+      "gehouden met het aantal zetels per partij, zodat grotere partijen meer " +
+      "invloed hebben op de gemiddelde positie. Het rode punt toont de " +
+      "berekende positie, het gekleurde vlak laat zien hoe ver de partijen " +
+      "uit elkaar liggen. Klik op een partij in het kompas om haar te " +
+      "selecteren. Plaats jezelf op het kompas om te zien welke partijen en " +
+      'coalities het dichtst bij jou liggen. Met "Simuleer zetels" reken je ' +
+      'stempercentages of een peiling om naar zetels. Vink "Gedoogt" aan voor ' +
+      "partijen die een minderheidskabinet steunen zonder mee te regeren: hun " +
+      "zetels tellen mee voor de meerderheid, maar niet voor de gemiddelde " +
+      "positie. Sla coalities op om ze later terug te laden, of deel je " +
+      "bibliotheek als bestand. Zijn er eerdere edities van het kompas, dan " +
+      "laat de schuifbalk onder het kompas zien hoe de partijen door de jaren " +
+      'zijn verschoven. Met "Toon als tabel" zie je alle partijen ook als ' +
+      "sorteerbare tabel.",
+    "page.source": "Data komt van",
+    "page.author": "Door",
+    "common.loading": "Gegevens laden...",
+    "common.error": "Fout: {message}",
+    "common.notAvailable": "n.v.t.",
+    "common.load": "Laad",
+    "common.remove": "Verwijder {name}",
+    "common.seats": { one: "{count} zetel", other: "{count} zetels" },
+    "common.parties": { one: "{count} partij", other: "{count} partijen" },
+    "common.distanceToYou": "{distance} van jou",
+    "common.weighted": "gewogen",
+    "common.supportedBy": "gedoogd door {parties}",
+    "common.supportingSeats": "+ {count} gedoogsteun",
+    "common.defaultCoalitionName": "Coalitie {name}",
+    "axis.sides": "{horizontal} of {vertical}",
+    "chamber.tweede-kamer": "Tweede Kamer",
+    "chamber.eerste-kamer": "Eerste Kamer",
+    "select.heading": "Selecteer",
+    "select.none": "Geselecteerd: geen",
+    "select.selected": "Geselecteerd: {parties}",
+    "select.weighted": "Gewogen (zetels)",
+    "select.results": "Zetels",
+    "select.search": "Zoek partij...",
+    "select.support": "Gedoogt",
+    "select.supportTitle": "Steunt de coalitie zonder mee te regeren",
+    "select.supportLabel": "{party} geeft gedoogsteun",
+    "history.undo": "↶ Ongedaan maken",
+    "history.undoTitle": "Ongedaan maken (Ctrl+Z)",
+    "history.redo": "↷ Opnieuw",
+    "history.redoTitle": "Opnieuw (Ctrl+Shift+Z)",
+    "majority.seats": "{seats} van {total} zetels, meerderheid {majority}:",
+    "majority.surplus": "{count} over",
+    "majority.shortfall": "{count} tekort",
+    "majority.impossible": "Ook met alle andere partijen geen meerderheid",
+    "majority.combined":
+      "Geen partij is alleen genoeg, bijvoorbeeld samen: {parties}",
+    "majority.closers": "Genoeg om aan te vullen: {parties}",
+    "cohesion.heading": "Samenhang van de coalitie",
+    "cohesion.range": "Grootste afstand",
+    "cohesion.standardDeviation": "Standaardafwijking",
+    "cohesion.median": "Mediaan (gewogen naar zetels)",
+    "cohesion.largestParty": "Grootste partij ({party}, afstand {distance})",
+    "cohesion.distances": "Afstand tot het gemiddelde:",
+    "finder.toggle": "Zoek coalities",
+    "finder.sortBy": "Sorteer op",
+    "finder.sort.spread": "Spreiding",
+    "finder.sort.partyCount": "Aantal partijen",
+    "finder.sort.surplus": "Overschot zetels",
+    "finder.sort.distance": "Afstand tot jou",
+    "finder.minimalOnly": "Alleen minimale meerderheden",
+    "finder.summary": {
+      one: "{count} coalitie met minstens {majority} van de {total} zetels",
+      other: "{count} coalities met minstens {majority} van de {total} zetels",
+    },
+    "finder.top": ", top {count} getoond",
+    "finder.spread": "spreiding {spread}",
+    "simulator.toggle": "Simuleer zetels",
+    "simulator.help":
+      "Vul stempercentages in of plak een peiling. De 150 zetels worden " +
+      "verdeeld met de methode van de grootste gemiddelden (D'Hondt), " +
+      "partijen onder de kiesdeler van 0,67% krijgen geen zetel.",
+    "simulator.poll": "Peiling, één partij per regel",
+    "simulator.pollPlaceholder": "PVV 23,5%\nPvdA-GL 15,7%",
+    "simulator.readPoll": "Lees peiling",
+    "simulator.apply": "Bereken zetels",
+    "simulator.label": "Simulatie",
+    "simulator.totalScaled":
+      "Totaal {total}, de percentages worden naar verhouding gebruikt",
+    "simulator.totalRest": "Totaal {total}, overige partijen {rest}",
+    "simulator.unmatched": ". Niet herkend: {lines}",
+    "compass.heading": "Politiek Kompas",
+    "compass.noSeats": "Geen zetels bekend",
+    "compass.absent": "Niet op het kompas van {edition}",
+    "compass.you": "Jij",
+    "quadrant.top-left": "linksboven",
+    "quadrant.top-right": "rechtsboven",
+    "quadrant.bottom-left": "linksonder",
+    "quadrant.bottom-right": "rechtsonder",
+    "quadrant.description":
+      "Het gemiddelde ligt {quadrant} op het kompas: {position}",
+    "announce.none": "Geen partijen geselecteerd",
+    "announce.coalition": "Coalitie van {parties}, {seats}",
+    "announce.majority": "een meerderheid in de Tweede Kamer",
+    "announce.shortfall": {
+      one: "{count} zetel tekort voor een meerderheid",
+      other: "{count} zetels tekort voor een meerderheid",
+    },
+    "table.toggle": "Toon als tabel",
+    "table.caption":
+      "Alle partijen met hun positie in procenten: negatief is {negative}, " +
+      "positief is {positive}.",
+    "table.select": "Coalitie",
+    "table.party": "Partij",
+    "table.seats": "Zetels",
+    "table.selectLabel": "{party} in de coalitie",
+    "export.svg": "Exporteer SVG",
+    "export.png": "Exporteer PNG",
+    "export.csv": "Exporteer CSV",
+    "export.json": "Exporteer JSON",
+    "export.source": "Bron: kieskompas.nl ({edition}), zetels: {results}",
+    "export.coalition": "Coalitie: {parties}",
+    "export.weighted": "(gewogen)",
+    "export.supporting": "(gedoogsteun)",
+    "edition.label": "Kompas van",
+    "edition.trajectories": "Toon verschuivingen",
+    "user.heading": "Waar sta ik?",
+    "user.place": "Plaats mezelf",
+    "user.clear": "Wis",
+    "user.help":
+      'Klik op "Plaats mezelf" en daarna op het kompas, of vul je positie in ' +
+      "procenten in: negatief is {negative}, positief is {positive}.",
+    "comparison.heading": "Vergelijken",
+    "comparison.name": "Naam van de coalitie",
+    "comparison.add": "Voeg selectie toe",
+    "comparison.coalition": "Coalitie",
+    "comparison.parties": "Partijen",
+    "comparison.seats": "Zetels",
+    "comparison.spread": "Spreiding",
+    "comparison.current": "Huidige selectie",
+    "library.heading": "Opgeslagen coalities",
+    "library.nameLabel": "Naam van de op te slaan coalitie",
+    "library.save": "Sla selectie op",
+    "library.notes": "Notities",
+    "library.notesLabel": "Notities bij de coalitie",
+    "library.export": "Exporteer bibliotheek",
+    "library.import": "Importeer bibliotheek",
+    "library.saved": '"{name}" is opgeslagen',
+    "library.loaded": '"{name}" is geladen',
+    "library.loadedMissing": {
+      one: '"{name}" is geladen, {count} partij bestaat niet meer',
+      other: '"{name}" is geladen, {count} partijen bestaan niet meer',
+    },
+    "library.removed": '"{name}" is verwijderd',
+    "library.imported": "{added} toegevoegd, {replaced} vervangen",
+    "library.skipped": ", {skipped} ongeldig overgeslagen",
+    "library.importFailed": "Importeren mislukt: {message}",
+    "library.error.incomplete": "Een coalitie heeft een naam en partijen nodig",
+    "library.error.invalid-json": "Het bestand is geen geldige JSON",
+    "library.error.no-coalitions":
+      "Het bestand bevat geen opgeslagen coalities",
+  },
+  en: {
+    "page.title": "Kieskompas Coalition",
+    "page.heading": "Where does the potential coalition stand?",
+    "page.explainer":
+      "Select political parties to see where their average position lies on " +
+      "the political compass. The weighted option takes the number of seats " +
+      "per party into account, so that larger parties have more influence on " +
+      "the average position. The red dot shows the calculated position, the " +
+      "coloured area shows how far apart the parties are. Click a party on " +
+      "the compass to select it. Place yourself on the compass to see which " +
+      'parties and coalitions are closest to you. "Simulate seats" turns vote ' +
+      'shares or a poll into seats. Tick "Supports" for parties that support ' +
+      "a minority cabinet without joining it: their seats count towards the " +
+      "majority, but not towards the average position. Save coalitions to " +
+      "load them again later, or share your library as a file. When there " +
+      "are earlier editions of the compass, the slider below the compass " +
+      "shows how the parties have shifted over the years. " +
+      '"Show as table" lists all parties in a sortable table as well.',
+    "page.source": "Data from",
+    "page.author": "By",
+    "common.loading": "Loading data...",
+    "common.error": "Error: {message}",
+    "common.notAvailable": "N/A",
+    "common.load": "Load",
+    "common.remove": "Remove {name}",
+    "common.seats": { one: "{count} seat", other: "{count} seats" },
+    "common.parties": { one: "{count} party", other: "{count} parties" },
+    "common.distanceToYou": "{distance} from you",
+    "common.weighted": "weighted",
+    "common.supportedBy": "supported by {parties}",
+    "common.supportingSeats": "+ {count} supporting",
+    "common.defaultCoalitionName": "Coalition {name}",
+    "axis.sides": "{horizontal} or {vertical}",
+    "chamber.tweede-kamer": "House of Representatives",
+    "chamber.eerste-kamer": "Senate",
+    "select.heading": "Select",
+    "select.none": "Selected: none",
+    "select.selected": "Selected: {parties}",
+    "select.weighted": "Weighted (seats)",
+    "select.results": "Seats",
+    "select.search": "Search party...",
+    "select.support": "Supports",
+    "select.supportTitle": "Supports the coalition without joining it",
+    "select.supportLabel": "{party} supports the coalition",
+    "history.undo": "↶ Undo",
+    "history.undoTitle": "Undo (Ctrl+Z)",
+    "history.redo": "↷ Redo",
+    "history.redoTitle": "Redo (Ctrl+Shift+Z)",
+    "majority.seats": "{seats} of {total} seats, majority {majority}:",
+    "majority.surplus": "{count} to spare",
+    "majority.shortfall": "{count} short",
+    "majority.impossible": "No majority, even with all other parties",
+    "majority.combined":
+      "No single party is enough, for example together: {parties}",
+    "majority.closers": "Enough to close the gap: {parties}",
+    "cohesion.heading": "Coalition cohesion",
+    "cohesion.range": "Largest distance",
+    "cohesion.standardDeviation": "Standard deviation",
+    "cohesion.median": "Median (weighted by seats)",
+    "cohesion.largestParty": "Largest party ({party}, distance {distance})",
+    "cohesion.distances": "Distance to the average:",
+    "finder.toggle": "Find coalitions",
+    "finder.sortBy": "Sort by",
+    "finder.sort.spread": "Spread",
+    "finder.sort.partyCount": "Number of parties",
+    "finder.sort.surplus": "Seat surplus",
+    "finder.sort.distance": "Distance to you",
+    "finder.minimalOnly": "Minimal majorities only",
+    "finder.summary": {
+      one: "{count} coalition with at least {majority} of the {total} seats",
+      other: "{count} coalitions with at least {majority} of the {total} seats",
+    },
+    "finder.top": ", top {count} shown",
+    "finder.spread": "spread {spread}",
+    "simulator.toggle": "Simulate seats",
+    "simulator.help":
+      "Enter vote shares or paste a poll. The 150 seats are allocated with " +
+      "the largest averages method (D'Hondt), parties below the quota of " +
+      "0.67% get no seat.",
+    "simulator.poll": "Poll, one party per line",
+    "simulator.pollPlaceholder": "PVV 23.5%\nPvdA-GL 15.7%",
+    "simulator.readPoll": "Read poll",
+    "simulator.apply": "Calculate seats",
+    "simulator.label": "Simulation",
+    "simulator.totalScaled":
+      "Total {total}, the shares are scaled proportionally",
+    "simulator.totalRest": "Total {total}, other parties {rest}",
+    "simulator.unmatched": ". Not recognised: {lines}",
+    "compass.heading": "Political Compass",
+    "compass.noSeats": "No seats known",
+    "compass.absent": "Not on the {edition} compass",
+    "compass.you": "You",
+    "quadrant.top-left": "top left",
+    "quadrant.top-right": "top right",
+    "quadrant.bottom-left": "bottom left",
+    "quadrant.bottom-right": "bottom right",
+    "quadrant.description":
+      "The average lies at the {quadrant} of the compass: {position}",
+    "announce.none": "No parties selected",
+    "announce.coalition": "Coalition of {parties}, {seats}",
+    "announce.majority": "a majority in the House of Representatives",
+    "announce.shortfall": {
+      one: "{count} seat short of a majority",
+      other: "{count} seats short of a majority",
+    },
+    "table.toggle": "Show as table",
+    "table.caption":
+      "All parties with their position in percentages: negative is " +
+      "{negative}, positive is {positive}.",
+    "table.select": "Coalition",
+    "table.party": "Party",
+    "table.seats": "Seats",
+    "table.selectLabel": "{party} in the coalition",
+    "export.svg": "Export SVG",
+    "export.png": "Export PNG",
+    "export.csv": "Export CSV",
+    "export.json": "Export JSON",
+    "export.source": "Source: kieskompas.nl ({edition}), seats: {results}",
+    "export.coalition": "Coalition: {parties}",
+    "export.weighted": "(weighted)",
+    "export.supporting": "(supporting)",
+    "edition.label": "Compass of",
+    "edition.trajectories": "Show shifts",
+    "user.heading": "Where do I stand?",
+    "user.place": "Place myself",
+    "user.clear": "Clear",
+    "user.help":
+      'Click "Place myself" and then the compass, or enter your position in ' +
+      "percentages: negative is {negative}, positive is {positive}.",
+    "comparison.heading": "Compare",
+    "comparison.name": "Name of the coalition",
+    "comparison.add": "Add selection",
+    "comparison.coalition": "Coalition",
+    "comparison.parties": "Parties",
+    "comparison.seats": "Seats",
+    "comparison.spread": "Spread",
+    "comparison.current": "Current selection",
+    "library.heading": "Saved coalitions",
+    "library.nameLabel": "Name of the coalition to save",
+    "library.save": "Save selection",
+    "library.notes": "Notes",
+    "library.notesLabel": "Notes on the coalition",
+    "library.export": "Export library",
+    "library.import": "Import library",
+    "library.saved": '"{name}" saved',
+    "library.loaded": '"{name}" loaded',
+    "library.loadedMissing": {
+      one: '"{name}" loaded, {count} party no longer exists',
+      other: '"{name}" loaded, {count} parties no longer exist',
+    },
+    "library.removed": '"{name}" removed',
+    "library.imported": "{added} added, {replaced} replaced",
+    "library.skipped": ", {skipped} invalid skipped",
+    "library.importFailed": "Import failed: {message}",
+    "library.error.incomplete": "A coalition needs a name and parties",
+    "library.error.invalid-json": "The file is not valid JSON",
+    "library.error.no-coalitions": "The file contains no saved coalitions",
+  },
+};
+
+// Direction words of the Kieskompas, as found in the party titles and axis
+// labels. Other wording, like that of other compasses, is shown as is.
+const DIRECTIONS = {
+  en: {
+    links: "left",
+    rechts: "right",
+    progressief: "progressive",
+    conservatief: "conservative",
+  },
+};
+
+// Attributes that can be translated, as `data-i18n-<attribute>`
+const TRANSLATED_ATTRIBUTES = ["placeholder", "title", "aria-label"];
+
+/**
+ * Translates messages and formats numbers for one language, falling back to
+ * Dutch for unknown languages and messages
+ */
+export class Translator {
+  constructor(language = DEFAULT_LANGUAGE) {
+    this.language = language in LANGUAGES ? language : DEFAULT_LANGUAGE;
+    this.locale = LOCALES[this.language];
+    this.pluralRules = new Intl.PluralRules(this.locale);
+  }
+
+  /**
+   * Get the message for a key with its placeholders filled in. A `count`
+   * picks the plural form and is formatted as a number.
+   */
+  t(key, params = {}) {
+    let message =
+      MESSAGES[this.language][key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+    if (typeof message === "object") {
+      message = message[this.pluralRules.select(params.count)] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) return placeholder;
+      return name === "count"
+        ? this.formatNumber(params.count, 0)
+        : String(params[name]);
+    });
+  }
+
+  /**
+   * Format a number with a fixed number of decimals, e.g. "18,5" in Dutch.
+   * Negative zero is shown as "0", not "-0".
+   */
+  formatNumber(value, decimals = 1) {
+    return (value === 0 ? 0 : value).toLocaleString(this.locale, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+      useGrouping: false,
+    });
+  }
+
+  /**
+   * Format a percentage, e.g. "18,5%" in Dutch
+   */
+  formatPercentage(value, decimals = 1) {
+    return `${this.formatNumber(value, decimals)}%`;
+  }
+
+  /**
+   * Translate a direction word of the compass, keeping its capitalisation
+   */
+  translateDirection(direction) {
+    const translation = DIRECTIONS[this.language]?.[direction.toLowerCase()];
+    if (!translation) return direction;
+    return direction.charAt(0) === direction.charAt(0).toUpperCase()
+      ? translation.charAt(0).toUpperCase() + translation.slice(1)
+      : translation;
+  }
+
+  /**
+   * Translate the static text of a page: the text of elements with a
+   * `data-i18n` key and the attributes with a `data-i18n-<attribute>` key
+   */
+  translatePage(root) {
+    root.querySelectorAll("[data-i18n]").forEach((element) => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+    TRANSLATED_ATTRIBUTES.forEach((attribute) => {
+      root
+        .querySelectorAll(`[data-i18n-${attribute}]`)
+        .forEach((element) =>
+          element.setAttribute(
+            attribute,
+            this.t(element.getAttribute(`data-i18n-${attribute}`)),
+          ),
+        );
+    });
+  }
+}
+
+/**
+ * Get the message keys of a language, for checking that both languages
+ * have every message
+ */
+export function getMessageKeys(language) {
+  return Object.keys(MESSAGES[language] ?? {});
+}
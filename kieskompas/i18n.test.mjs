@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { Translator, getMessageKeys } from "./i18n.mjs";
+
+const { JSDOM } = createRequire(import.meta.url)("jsdom");
+
+const dutch = new Translator("nl");
+const english = new Translator("en");
+
+test("both languages have the same messages", () => {
+  assert.deepEqual(getMessageKeys("en").sort(), getMessageKeys("nl").sort());
+});
+
+test("messages fill in their placeholders and plural form", () => {
+  assert.equal(dutch.t("common.seats", { count: 1 }), "1 zetel");
+  assert.equal(dutch.t("common.seats", { count: 26 }), "26 zetels");
+  assert.equal(english.t("common.seats", { count: 1 }), "1 seat");
+  assert.equal(
+    english.t("select.supportLabel", { party: "SGP" }),
+    "SGP supports the coalition",
+  );
+});
+
+test("numbers are formatted per language", () => {
+  assert.equal(dutch.formatPercentage(18.45), "18,5%");
+  assert.equal(english.formatPercentage(18.45), "18.5%");
+  assert.equal(english.formatNumber(1234.5), "1234.5");
+});
+
+test("an exact majority has nothing to spare, not minus nothing", () => {
+  assert.equal(dutch.t("majority.surplus", { count: -0 }), "0 over");
+  assert.equal(english.t("majority.surplus", { count: -0 }), "0 to spare");
+  assert.equal(english.formatNumber(-0), "0.0");
+});
+
+test("compass directions are translated, other wording is kept", () => {
+  assert.equal(english.translateDirection("rechts"), "right");
+  assert.equal(english.translateDirection("Progressief"), "Progressive");
+  assert.equal(english.translateDirection("pro-europees"), "pro-europees");
+  assert.equal(dutch.translateDirection("links"), "links");
+});
+
+test("unknown languages and messages fall back to Dutch", () => {
+  const unknown = new Translator("fr");
+
+  assert.equal(unknown.language, "nl");
+  assert.equal(unknown.t("select.heading"), "Selecteer");
+  assert.equal(english.t("no.such.message"), "no.such.message");
+});
+
+test("the static text of a page is translated", () => {
+  const { document } = new JSDOM(`
+    <h2 data-i18n="select.heading">Selecteer</h2>
+    <input data-i18n-placeholder="select.search" placeholder="Zoek partij..." />
+  `).window;
+
+  english.translatePage(document);
+
+  assert.equal(document.querySelector("h2").textContent, "Select");
+  assert.equal(document.querySelector("input").placeholder, "Search party...");
+});
@@ -0,0 +1,174 @@
+/**
+ * Library of saved coalitions, kept in localStorage and exchanged as JSON
+ * files. Coalitions are checked and normalised on the way in.
+ */
+
+export const LIBRARY_VERSION = 1;
+export const STORAGE_KEY = "kieskompas.coalitions";
+
+/**
+ * A coalition or file the library cannot use. The `code` identifies the
+ * problem for translated messages, the message itself is Dutch.
+ */
+export class LibraryError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "LibraryError";
+    this.code = code;
+  }
+}
+
+const isShortNameList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+/**
+ * Check a saved coalition and bring it into the stored shape, returns null
+ * when it cannot be used. Parties are stored by short name, so a library
+ * survives a regenerated parties-data.json.
+ */
+export function normalizeCoalition(coalition) {
+  if (!coalition || typeof coalition !== "object") return null;
+
+  const name = typeof coalition.name === "string" ? coalition.name.trim() : "";
+  if (!name || !isShortNameList(coalition.parties)) return null;
+  if (coalition.supporting != null && !isShortNameList(coalition.supporting)) {
+    return null;
+  }
+
+  return {
+    name,
+    parties: coalition.parties,
+    supporting: (coalition.supporting ?? []).filter(
+      (shortName) => !coalition.parties.includes(shortName),
+    ),
+    weighted: coalition.weighted === true,
+    notes: typeof coalition.notes === "string" ? coalition.notes : "",
+    savedAt:
+      typeof coalition.savedAt === "string"
+        ? coalition.savedAt
+        : new Date().toISOString(),
+  };
+}
+
+/**
+ * Saved coalitions by name, written through to a Storage (localStorage).
+ * Without a working storage the library still works for the session.
+ */
+export class CoalitionLibrary {
+  constructor(storage) {
+    this.storage = storage;
+    this.coalitions = this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(this.storage?.getItem(STORAGE_KEY) ?? "null");
+      return (stored?.coalitions ?? []).map(normalizeCoalition).filter(Boolean);
+    } catch (error) {
+      console.error("Error loading saved coalitions:", error);
+      return [];
+    }
+  }
+
+  persist() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, this.serialize());
+    } catch (error) {
+      console.error("Error saving coalitions:", error);
+    }
+  }
+
+  /**
+   * The saved coalitions, sorted by name
+   */
+  list() {
+    return [...this.coalitions].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(name) {
+    return this.coalitions.find((coalition) => coalition.name === name) ?? null;
+  }
+
+  /**
+   * Save a coalition, replacing a saved coalition with the same name
+   */
+  save(coalition) {
+    const normalized = normalizeCoalition({
+      ...coalition,
+      savedAt: new Date().toISOString(),
+    });
+    if (!normalized) {
+      throw new LibraryError(
+        "incomplete",
+        "Een coalitie heeft een naam en partijen nodig",
+      );
+    }
+
+    this.coalitions = [
+      ...this.coalitions.filter(({ name }) => name !== normalized.name),
+      normalized,
+    ];
+    this.persist();
+    return normalized;
+  }
+
+  remove(name) {
+    this.coalitions = this.coalitions.filter(
+      (coalition) => coalition.name !== name,
+    );
+    this.persist();
+  }
+
+  /**
+   * The library as the JSON of an export file
+   */
+  serialize() {
+    return JSON.stringify(
+      { version: LIBRARY_VERSION, coalitions: this.coalitions },
+      null,
+      2,
+    );
+  }
+
+  /**
+   * Merge the coalitions of an export file into the library, coalitions
+   * with a known name are replaced. Returns how many were added, replaced
+   * and skipped as invalid.
+   */
+  import(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      throw new LibraryError(
+        "invalid-json",
+        "Het bestand is geen geldige JSON",
+      );
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed?.coalitions;
+    if (!Array.isArray(entries)) {
+      throw new LibraryError(
+        "no-coalitions",
+        "Het bestand bevat geen opgeslagen coalities",
+      );
+    }
+
+    const counts = { added: 0, replaced: 0, skipped: 0 };
+    entries.forEach((entry) => {
+      const coalition = normalizeCoalition(entry);
+      if (!coalition) {
+        counts.skipped++;
+        return;
+      }
+
+      counts[this.get(coalition.name) ? "replaced" : "added"]++;
+      this.coalitions = [
+        ...this.coalitions.filter(({ name }) => name !== coalition.name),
+        coalition,
+      ];
+    });
+    this.persist();
+    return counts;
+  }
+}
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CoalitionLibrary, STORAGE_KEY } from "./library.mjs";
+
+/**
+ * In-memory stand-in for localStorage
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+}
+
+const SCHOOF = {
+  name: "Schoof",
+  parties: ["PVV", "VVD", "NSC", "BBB"],
+  weighted: true,
+  notes: "Kabinet 2024",
+};
+
+test("saved coalitions survive a reload of the page", () => {
+  const storage = new MemoryStorage();
+  new CoalitionLibrary(storage).save(SCHOOF);
+
+  const [saved] = new CoalitionLibrary(storage).list();
+  assert.equal(saved.name, "Schoof");
+  assert.deepEqual(saved.parties, SCHOOF.parties);
+  assert.deepEqual(saved.supporting, []);
+  assert.equal(saved.weighted, true);
+  assert.equal(saved.notes, "Kabinet 2024");
+});
+
+test("saving under a known name replaces the coalition", () => {
+  const library = new CoalitionLibrary(new MemoryStorage());
+  library.save(SCHOOF);
+  library.save({ ...SCHOOF, parties: ["VVD"], supporting: ["PVV"] });
+
+  assert.equal(library.list().length, 1);
+  assert.deepEqual(library.get("Schoof").parties, ["VVD"]);
+  assert.deepEqual(library.get("Schoof").supporting, ["PVV"]);
+});
+
+test("a coalition needs a name and parties", () => {
+  const library = new CoalitionLibrary(new MemoryStorage());
+
+  assert.throws(() => library.save({ ...SCHOOF, name: " " }));
+  assert.throws(() => library.save({ ...SCHOOF, parties: "PVV" }));
+});
+
+test("an exported library imports into another one", () => {
+  const source = new CoalitionLibrary(new MemoryStorage());
+  source.save(SCHOOF);
+  source.save({ name: "Paars", parties: ["VVD", "D66", "PvdA-GL"] });
+
+  const target = new CoalitionLibrary(new MemoryStorage());
+  target.save({ ...SCHOOF, notes: "Oud" });
+  const counts = target.import(source.serialize());
+
+  assert.deepEqual(counts, { added: 1, replaced: 1, skipped: 0 });
+  assert.deepEqual(
+    target.list().map((coalition) => coalition.name),
+    ["Paars", "Schoof"],
+  );
+  assert.equal(target.get("Schoof").notes, "Kabinet 2024");
+});
+
+test("invalid files and entries are rejected", () => {
+  const library = new CoalitionLibrary(new MemoryStorage());
+
+  assert.throws(() => library.import("{"), /geen geldige JSON/);
+  assert.throws(() => library.import('{"version": 1}'), /geen opgeslagen/);
+  assert.throws(() => library.import("{"), { code: "invalid-json" });
+  assert.deepEqual(library.import(JSON.stringify([SCHOOF, { name: "X" }])), {
+    added: 1,
+    replaced: 0,
+    skipped: 1,
+  });
+});
+
+test("a corrupt storage starts an empty library", () => {
+  const storage = new MemoryStorage();
+  storage.setItem(STORAGE_KEY, "niet json");
+
+  assert.deepEqual(new CoalitionLibrary(storage).list(), []);
+});
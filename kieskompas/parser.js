@@ -1,33 +1,94 @@
 /**
- * Modern JavaScript module for loading pre-parsed Kieskompas data
+ * Page script for the pre-parsed Kieskompas data, starts the interface when
+ * loaded. The coalition arithmetic lives in coalition.mjs.
  */
 
-class KieskompasParser {
-  constructor(dataPath) {
-    this.dataPath = dataPath;
-    this.data = null;
-  }
+import {
+  composeExportSvg,
+  createCompassSvg,
+  drawCoalition,
+  drawComparisonMarkers,
+  drawTrajectories,
+  drawUserMarker,
+  moveParties,
+  serializeSvg,
+} from "./compass-svg.mjs";
+import { TOTAL_SEATS, apportionSeats, parsePoll } from "./apportionment.mjs";
+import {
+  CHAMBERS,
+  Coalition,
+  CoalitionFinder,
+  KieskompasParser,
+  MAJORITY_SEATS,
+  findPartyIndices,
+  getPartyResult,
+  getPartySeats,
+} from "./coalition.mjs";
+import { formatCsv, formatJson } from "./data-export.mjs";
+import { EmbedBridge, EmbedMessageError } from "./embed-api.mjs";
+import { DEFAULT_LANGUAGE, LANGUAGES, Translator } from "./i18n.mjs";
+import { CoalitionLibrary } from "./library.mjs";
+import {
+  CompassCoordinates,
+  DEFAULT_AXES,
+  getAxisDirection,
+  getDistance,
+  getQuadrant,
+  getSignedPosition,
+  normalizePosition,
+} from "./coordinates.mjs";
+
+// Result set holding the seats of the seat simulator
+const SIMULATION_KEY = "simulatie";
+
+// Resolution multiplier for PNG exports
+const PNG_SCALE = 2;
+
+// Marker colours for compared coalitions, the current selection is red
+const COMPARISON_COLORS = [
+  "#007bff",
+  "#28a745",
+  "#fd7e14",
+  "#6f42c1",
+  "#17a2b8",
+  "#e83e8c",
+];
 
-  /**
-   * Load the pre-parsed JSON data
-   */
-  async load() {
-    try {
-      const response = await fetch(this.dataPath);
-      this.data = await response.json();
-      return this.data;
-    } catch (error) {
-      console.error("Error loading data:", error);
-      throw error;
-    }
-  }
+/**
+ * Get the logo of a party as an image tag, empty when there is none
+ */
+function formatPartyLogo(party) {
+  return party.logo
+    ? `<img class="party-logo" src="${party.logo}" alt="" width="32" height="32" />`
+    : "";
+}
 
-  /**
-   * Get all data in a structured format
-   */
-  getAllData() {
-    return this.data;
-  }
+/**
+ * The part of a URL that makes up the selection, so that only selection
+ * changes become history entries. Party order and case do not matter, as
+ * when the parties are looked up.
+ */
+function getSelectionKey(url) {
+  return ["parties", "support", "weighted"]
+    .map((name) =>
+      (url.searchParams.get(name) ?? "")
+        .split(",")
+        .map((value) => value.trim().toUpperCase())
+        .sort()
+        .join(","),
+    )
+    .join("|");
+}
+
+/**
+ * Escape user text, like coalition names and notes, for use in HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
 }
 
 // UI Controller
@@ -39,25 +100,179 @@ class UIController {
     this.selectedCount = document.getElementById("selectedCount");
     this.weightedAverageCheckbox = document.getElementById("weighted-average");
     this.searchBox = document.getElementById("searchBox");
+    this.electionResultsSelect = document.getElementById("electionResults");
     this.coalitionStats = document.getElementById("coalitionStats");
+    this.majorityCheck = document.getElementById("majorityCheck");
     this.coalitionStatsContent = document.getElementById(
       "coalitionStatsContent",
     );
+    this.cohesionDetails = document.getElementById("cohesionDetails");
+    this.cohesionStats = document.getElementById("cohesionStats");
+    this.findCoalitionsButton = document.getElementById("findCoalitions");
+    this.coalitionFinder = document.getElementById("coalitionFinder");
+    this.coalitionSort = document.getElementById("coalitionSort");
+    this.minimalCoalitionsCheckbox =
+      document.getElementById("minimalCoalitions");
+    this.coalitionResults = document.getElementById("coalitionResults");
+    this.coalitionResultsSummary = document.getElementById(
+      "coalitionResultsSummary",
+    );
+    this.exportSvgButton = document.getElementById("exportSvg");
+    this.exportPngButton = document.getElementById("exportPng");
+    this.exportCsvButton = document.getElementById("exportCsv");
+    this.exportJsonButton = document.getElementById("exportJson");
+    this.compassTooltip = document.getElementById("compassTooltip");
+    this.comparisonNameInput = document.getElementById("comparisonName");
+    this.addComparisonButton = document.getElementById("addComparison");
+    this.comparisonTable = document.getElementById("comparisonTable");
+    this.comparisonRows = document.getElementById("comparisonRows");
+    this.simulateSeatsButton = document.getElementById("simulateSeats");
+    this.seatSimulator = document.getElementById("seatSimulator");
+    this.simulationInputs = document.getElementById("simulationInputs");
+    this.simulationSummary = document.getElementById("simulationSummary");
+    this.pollText = document.getElementById("pollText");
+    this.parsePollButton = document.getElementById("parsePoll");
+    this.applySimulationButton = document.getElementById("applySimulation");
+    this.placeUserPositionButton = document.getElementById("placeUserPosition");
+    this.userHorizontalInput = document.getElementById("userHorizontal");
+    this.userVerticalInput = document.getElementById("userVertical");
+    this.clearUserPositionButton = document.getElementById("clearUserPosition");
+    this.libraryNameInput = document.getElementById("libraryName");
+    this.libraryNotesInput = document.getElementById("libraryNotes");
+    this.saveCoalitionButton = document.getElementById("saveCoalition");
+    this.libraryList = document.getElementById("libraryList");
+    this.libraryStatus = document.getElementById("libraryStatus");
+    this.exportLibraryButton = document.getElementById("exportLibrary");
+    this.importLibraryButton = document.getElementById("importLibrary");
+    this.importLibraryFile = document.getElementById("importLibraryFile");
+    this.languageToggle = document.getElementById("languageToggle");
+    this.undoButton = document.getElementById("undoSelection");
+    this.redoButton = document.getElementById("redoSelection");
+    this.editionControls = document.getElementById("editionControls");
+    this.editionSlider = document.getElementById("editionSlider");
+    this.editionLabel = document.getElementById("editionLabel");
+    this.showTrajectoriesCheckbox = document.getElementById("showTrajectories");
+    this.coalitionAnnouncement = document.getElementById(
+      "coalitionAnnouncement",
+    );
+    this.showPartyTableButton = document.getElementById("showPartyTable");
+    this.partyTableView = document.getElementById("partyTableView");
+    this.partyTableRows = document.getElementById("partyTableRows");
 
     this.parties = [];
+    this.coordinates = null;
     this.selectedParties = new Set();
+    // Parties that support (gedogen) the coalition without joining it: they
+    // count towards the majority but not towards the average position
+    this.supportingParties = new Set();
+    this.resultsKey = null;
+    this.defaultResultsKey = null;
+    this.senateResultsKey = null;
+    // Directions of the axes, as worded on the loaded compass
+    this.axes = DEFAULT_AXES;
+    // The compass edition whose positions are shown, see setEdition
+    this.editionKey = null;
+    // Column and direction of the party table, see sortPartyTable
+    this.partyTableSort = { key: "seats", descending: true };
+    this.comparedCoalitions = [];
+    this.simulatedVotes = null;
+    this.userPosition = null;
+    this.isPlacingUserPosition = false;
+    this.dataUrls = new Map();
+    this.library = new CoalitionLibrary(this.getStorage());
+    // Position in the browser history of this page, entries after
+    // historyLength cannot be redone
+    this.historyIndex = window.history.state?.index ?? 0;
+    this.historyLength = this.historyIndex;
+    this.isRestoringHistory = false;
+    const params = new URLSearchParams(window.location.search);
+    this.i18n = new Translator(params.get("lang") || DEFAULT_LANGUAGE);
+    // In embed mode the page runs in an iframe and is driven by its host
+    this.isEmbedded = params.get("embed") === "1";
+    this.embedBridge = this.isEmbedded
+      ? new EmbedBridge(window, {
+          origin: params.get("origin") || "*",
+          onCommand: (command) => this.handleEmbedCommand(command),
+        })
+      : null;
+    this.isApplyingEmbedCommand = false;
 
     this.init();
   }
 
   init() {
+    this.displayLanguage();
+    if (this.languageToggle) {
+      this.languageToggle.addEventListener("click", () =>
+        this.setLanguage(this.i18n.language === "nl" ? "en" : "nl"),
+      );
+    }
+
+    if (this.embedBridge) {
+      document.body.classList.add("embed");
+      this.embedBridge.start();
+    }
+
     // Auto-load on page load
     this.handleParse();
 
     // Add event listener for weighted average checkbox
     if (this.weightedAverageCheckbox) {
-      this.weightedAverageCheckbox.addEventListener("change", () =>
-        this.handlePartySelection(),
+      this.weightedAverageCheckbox.addEventListener("change", () => {
+        this.handlePartySelection();
+        this.refreshCoalitionFinder();
+      });
+    }
+
+    // Add event listeners for undo and redo through the browser history
+    window.addEventListener("popstate", (event) =>
+      this.restoreFromHistory(event.state),
+    );
+    document.addEventListener("keydown", (event) =>
+      this.handleHistoryShortcut(event),
+    );
+    if (this.undoButton) {
+      this.undoButton.addEventListener("click", () => this.undo());
+      this.redoButton.addEventListener("click", () => this.redo());
+      this.updateHistoryButtons();
+    }
+
+    // Add event listeners for the table view of the parties
+    if (this.showPartyTableButton) {
+      this.showPartyTableButton.addEventListener("click", () =>
+        this.togglePartyTable(),
+      );
+      this.partyTableView
+        .querySelectorAll("button[data-sort]")
+        .forEach((button) =>
+          button.addEventListener("click", () =>
+            this.sortPartyTable(button.dataset.sort),
+          ),
+        );
+      this.partyTableRows.addEventListener("change", (event) =>
+        this.setPartySelected(
+          parseInt(event.target.dataset.index),
+          event.target.checked,
+        ),
+      );
+    }
+
+    // Add event listener for the result set selector
+    if (this.electionResultsSelect) {
+      this.electionResultsSelect.addEventListener("change", () =>
+        this.handleElectionResultsChange(),
+      );
+    }
+
+    // Add event listeners for the compass editions
+    if (this.editionSlider) {
+      this.editionSlider.addEventListener("input", () =>
+        this.setEdition(
+          this.parser.getAllData().editions[this.editionSlider.value],
+        ),
+      );
+      this.showTrajectoriesCheckbox.addEventListener("change", () =>
+        this.updateTrajectories(),
       );
     }
 
@@ -65,390 +280,2553 @@ class UIController {
     if (this.searchBox) {
       this.searchBox.addEventListener("input", () => this.filterParties());
     }
+
+    // Add event listeners for the export buttons
+    if (this.exportSvgButton) {
+      this.exportSvgButton.addEventListener("click", () => this.exportSvg());
+    }
+    if (this.exportPngButton) {
+      this.exportPngButton.addEventListener("click", () => this.exportPng());
+    }
+    if (this.exportCsvButton) {
+      this.exportCsvButton.addEventListener("click", () =>
+        this.exportData("csv"),
+      );
+      this.exportJsonButton.addEventListener("click", () =>
+        this.exportData("json"),
+      );
+    }
+
+    // Add event listener for adding the selection to the comparison
+    if (this.addComparisonButton) {
+      this.addComparisonButton.addEventListener("click", () =>
+        this.addComparison(),
+      );
+    }
+
+    // Add event listeners for the library of saved coalitions
+    if (this.saveCoalitionButton) {
+      this.saveCoalitionButton.addEventListener("click", () =>
+        this.saveCoalition(),
+      );
+      this.exportLibraryButton.addEventListener("click", () =>
+        this.exportLibrary(),
+      );
+      this.importLibraryButton.addEventListener("click", () =>
+        this.importLibraryFile.click(),
+      );
+      this.importLibraryFile.addEventListener("change", () =>
+        this.importLibrary(this.importLibraryFile.files[0]),
+      );
+    }
+
+    // Add event listeners for placing the visitor's own position
+    if (this.placeUserPositionButton) {
+      this.placeUserPositionButton.addEventListener("click", () =>
+        this.setPlacingUserPosition(!this.isPlacingUserPosition),
+      );
+      [this.userHorizontalInput, this.userVerticalInput].forEach((input) =>
+        input.addEventListener("change", () => this.handleUserPositionInput()),
+      );
+      this.clearUserPositionButton.addEventListener("click", () =>
+        this.setUserPosition(null),
+      );
+    }
+
+    // Add event listeners for the seat simulator
+    if (this.simulateSeatsButton) {
+      this.simulateSeatsButton.addEventListener("click", () =>
+        this.toggleSeatSimulator(),
+      );
+      this.simulationInputs.addEventListener("input", () =>
+        this.updateSimulationSummary(),
+      );
+      this.parsePollButton.addEventListener("click", () =>
+        this.handlePollInput(),
+      );
+      this.applySimulationButton.addEventListener("click", () =>
+        this.applySimulation(),
+      );
+    }
+
+    // Add event listeners for the coalition finder
+    if (this.findCoalitionsButton) {
+      this.findCoalitionsButton.addEventListener("click", () =>
+        this.toggleCoalitionFinder(),
+      );
+      this.coalitionSort.addEventListener("change", () =>
+        this.displayCoalitions(),
+      );
+      this.minimalCoalitionsCheckbox.addEventListener("change", () =>
+        this.displayCoalitions(),
+      );
+    }
   }
 
   /**
-   * Get party short names from URL query parameters
+   * Get party short names from URL query parameters, the coalition members
+   * from `parties` and the supporting parties from `support`
    */
-  getQueryParties() {
+  getQueryParties(name = "parties") {
     const params = new URLSearchParams(window.location.search);
-    const partiesParam = params.get("parties");
+    const partiesParam = params.get(name);
     if (!partiesParam) return [];
 
     // Support both comma-separated and repeated parameters
     return partiesParam.split(",").map((p) => p.trim().toUpperCase());
   }
 
+  /**
+   * Get the result set key from URL query parameters, if it exists
+   */
+  getQueryResultsKey(electionResults) {
+    const params = new URLSearchParams(window.location.search);
+    const resultsParam = params.get("results");
+    return resultsParam &&
+      electionResults[resultsParam]?.chamber === "tweede-kamer"
+      ? resultsParam
+      : null;
+  }
+
+  /**
+   * Get the compared coalitions from URL query parameters, encoded as
+   * "Name:VVD,CDA;Other name:D66,PvdA-GL"
+   */
+  getQueryComparisons() {
+    const params = new URLSearchParams(window.location.search);
+    const compareParam = params.get("compare");
+    if (!compareParam) return [];
+
+    return compareParam
+      .split(";")
+      .map((entry) => {
+        const [name, partiesParam = ""] = entry.split(":");
+        return {
+          name: name.trim(),
+          shortNames: partiesParam
+            .split(",")
+            .map((p) => p.trim())
+            .filter((p) => p.length > 0),
+        };
+      })
+      .filter((coalition) => coalition.name && coalition.shortNames.length);
+  }
+
+  /**
+   * Get the simulated vote shares from URL query parameters, encoded as
+   * "VVD:20.5,PVV:23"
+   */
+  getQueryVotes() {
+    const params = new URLSearchParams(window.location.search);
+    const votesParam = params.get("votes");
+    if (!votesParam) return null;
+
+    const votes = {};
+    votesParam.split(",").forEach((entry) => {
+      const [shortName, value] = entry.split(":");
+      const share = parseFloat(value);
+      if (shortName && Number.isFinite(share)) {
+        votes[shortName.trim()] = share;
+      }
+    });
+    return Object.keys(votes).length > 0 ? votes : null;
+  }
+
+  /**
+   * Get the compass edition from URL query parameters, if it exists
+   */
+  getQueryEdition(editions) {
+    const params = new URLSearchParams(window.location.search);
+    const editionParam = params.get("edition");
+    return editions.includes(editionParam) ? editionParam : null;
+  }
+
+  /**
+   * Get the visitor's own position from URL query parameters, encoded as
+   * signed percentages "horizontal,vertical"
+   */
+  getQueryUserPosition() {
+    const params = new URLSearchParams(window.location.search);
+    const meParam = params.get("me");
+    if (!meParam) return null;
+
+    const [horizontal, vertical] = meParam.split(",").map(parseFloat);
+    if (!Number.isFinite(horizontal) || !Number.isFinite(vertical)) {
+      return null;
+    }
+    return normalizePosition({ horizontal, vertical });
+  }
+
   async handleParse() {
     try {
-      this.partyPicker.innerHTML = "<p>Loading data...</p>";
+      this.partyPicker.innerHTML = `<p>${this.i18n.t("common.loading")}</p>`;
 
       await this.parser.load();
       const data = this.parser.getAllData();
 
-      // Sort parties by seats (descending)
-      this.parties = data.parties.sort((a, b) => {
-        const seatsA = a.electionResults2025 ? a.electionResults2025.seats : 0;
-        const seatsB = b.electionResults2025 ? b.electionResults2025.seats : 0;
-        return seatsB - seatsA;
-      });
+      // Restore simulated seats before the result set is picked
+      const queryVotes = this.getQueryVotes();
+      if (queryVotes) {
+        this.setSimulatedResults(queryVotes);
+      }
+
+      this.defaultResultsKey = data.defaultElectionResults;
+      this.senateResultsKey = data.defaultSenateResults;
+      this.resultsKey =
+        this.getQueryResultsKey(data.electionResults) || this.defaultResultsKey;
+      this.displayElectionResultsPicker(data.electionResults);
+
+      this.parties = data.parties;
+      this.coordinates = new CompassCoordinates(data.dimensions);
+      this.axes = data.axes || DEFAULT_AXES;
+      this.displayAxisNames();
+      this.editionKey =
+        this.getQueryEdition(data.editions) || data.currentEdition;
+      this.applyEditionPositions();
+      this.displayEditionControls(data);
+
+      // Draw the parties in their original order, before sorting them
+      this.displayCompass(data);
+      this.setupCompassInteraction();
+
+      this.sortParties();
       this.displayPartyPicker(this.parties);
 
-      // Wait for SVG to load before pre-selecting parties
-      await this.displaySVG();
+      // Restore the visitor's own position from query params
+      this.userPosition = this.getQueryUserPosition();
+      if (this.userPosition && this.coalitionSort) {
+        this.coalitionSort.value = "distance";
+      }
+      this.updateUserPosition();
+
+      // Restore compared coalitions from query params
+      this.comparedCoalitions = this.getQueryComparisons();
+      this.updateComparison();
+      this.displayLibrary();
 
       // Pre-select parties from query params
       this.preSelectFromQuery();
+
+      // Announce the widget after the selection from the query is applied
+      if (this.embedBridge) {
+        requestAnimationFrame(() =>
+          this.embedBridge.post("ready", {
+            parties: this.parties.map((party) => party.shortName),
+            results: Object.keys(data.electionResults).filter(
+              (key) => data.electionResults[key].chamber === "tweede-kamer",
+            ),
+            state: this.getEmbedState(),
+          }),
+        );
+      }
     } catch (error) {
-      this.partyPicker.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+      this.partyPicker.innerHTML = `<p style="color: red;">${this.i18n.t(
+        "common.error",
+        { message: error.message },
+      )}</p>`;
     }
   }
 
   /**
-   * Pre-select parties based on query parameters
+   * Name the axes in the page after the directions of the loaded compass
    */
-  preSelectFromQuery() {
-    const queryParties = this.getQueryParties();
-    if (queryParties.length === 0) return;
-
-    // Find and check matching party checkboxes
-    this.parties.forEach((party, index) => {
-      const shortNameUpper = party.shortName.toUpperCase();
-      if (queryParties.includes(shortNameUpper)) {
-        const checkbox = document.getElementById(`party-${index}`);
-        if (checkbox) {
-          checkbox.checked = true;
-        }
-      }
+  displayAxisNames() {
+    document.querySelectorAll("[data-axis-name]").forEach((element) => {
+      element.textContent = this.formatAxisName(
+        this.axes[element.dataset.axisName],
+      );
     });
-
-    // Use requestAnimationFrame to ensure the SVG is fully rendered before drawing the marker
-    requestAnimationFrame(() => {
-      this.handlePartySelection();
+    document.querySelectorAll("[data-axis-sides]").forEach((element) => {
+      const sides = (side) =>
+        this.i18n.t("axis.sides", {
+          horizontal: this.i18n.translateDirection(this.axes.horizontal[side]),
+          vertical: this.i18n.translateDirection(this.axes.vertical[side]),
+        });
+      element.textContent = this.i18n.t(element.dataset.axisSides, {
+        negative: sides("negative"),
+        positive: sides("positive"),
+      });
     });
   }
 
-  displayPartyPicker(parties) {
-    const html = parties
-      .map(
-        (party, index) => `
-        <div class="party-checkbox" data-party-name="${party.name.toLowerCase()}" data-party-short="${party.shortName.toLowerCase()}">
-          <input 
-            type="checkbox" 
-            id="party-${index}" 
-            data-index="${index}"
-          />
-          <label for="party-${index}">
-            <div class="party-info">
-              <div>
-                <strong>${party.name}</strong> 
-                <span style="color: #666; font-weight: normal;">(${party.shortName})</span>
-              </div>
-              <small>${
-                party.politicalPosition.horizontal
-                  ? `${party.politicalPosition.horizontal.value}% ${party.politicalPosition.horizontal.direction}`
-                  : "N/A"
-              }, ${
-                party.politicalPosition.vertical
-                  ? `${party.politicalPosition.vertical.value}% ${party.politicalPosition.vertical.direction}`
-                  : "N/A"
-              }</small>
-            </div>
-            ${
-              party.electionResults2025
-                ? `<span class="seats-badge">${party.electionResults2025.seats} ${party.electionResults2025.seats === 1 ? "zetel" : "zetels"}</span>`
-                : ""
-            }
-          </label>
-        </div>
-      `,
-      )
-      .join("");
-
-    this.partyPicker.innerHTML = html;
+  /**
+   * Name an axis by its directions, like "Links/rechts"
+   */
+  formatAxisName(axis) {
+    const name = [axis.negative, axis.positive]
+      .map((direction) => this.i18n.translateDirection(direction))
+      .join("/");
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
 
-    // Add event listeners to all checkboxes
-    parties.forEach((party, index) => {
-      const checkbox = document.getElementById(`party-${index}`);
-      checkbox.addEventListener("change", () => this.handlePartySelection());
-    });
+  /**
+   * Format a signed percentage on an axis with its direction label
+   */
+  formatAxisValue(value, axis) {
+    return `${this.i18n.formatPercentage(Math.abs(value))} ${this.i18n.translateDirection(
+      getAxisDirection(value, axis),
+    )}`;
   }
 
-  filterParties() {
-    const searchTerm = this.searchBox.value.toLowerCase();
-    const partyElements = this.partyPicker.querySelectorAll(".party-checkbox");
+  /**
+   * Format a party's stated position, like "69% rechts, 35% conservatief"
+   */
+  formatPartyPosition(party) {
+    return [
+      party.politicalPosition.horizontal,
+      party.politicalPosition.vertical,
+    ]
+      .map((axis) =>
+        axis
+          ? `${this.i18n.formatPercentage(axis.value, 0)} ${this.i18n.translateDirection(axis.direction)}`
+          : this.i18n.t("common.notAvailable"),
+      )
+      .join(", ");
+  }
 
-    partyElements.forEach((element) => {
-      const partyName = element.dataset.partyName;
-      const partyShort = element.dataset.partyShort;
+  /**
+   * Format a number of seats, like "12 zetels"
+   */
+  formatSeats(count) {
+    return this.i18n.t("common.seats", { count });
+  }
 
-      if (partyName.includes(searchTerm) || partyShort.includes(searchTerm)) {
-        element.style.display = "";
-      } else {
-        element.style.display = "none";
-      }
-    });
+  /**
+   * Show the page in the active language: the static text, the document
+   * language and the switch to the other language
+   */
+  displayLanguage() {
+    this.i18n.translatePage(document);
+    document.documentElement.lang = this.i18n.language;
+    document.title = this.i18n.t("page.title");
+
+    if (this.languageToggle) {
+      const other = this.i18n.language === "nl" ? "en" : "nl";
+      this.languageToggle.textContent = LANGUAGES[other];
+      this.languageToggle.lang = other;
+    }
   }
 
-  handlePartySelection() {
-    // Update selected parties set
-    this.selectedParties.clear();
-    const checkboxes = this.partyPicker.querySelectorAll(
-      'input[type="checkbox"]',
+  /**
+   * Switch the interface to another language, keeping all state
+   */
+  setLanguage(language) {
+    this.i18n = new Translator(language);
+    this.displayLanguage();
+    if (!this.coordinates) return;
+
+    const data = this.parser.getAllData();
+    if (data.electionResults[SIMULATION_KEY]) {
+      data.electionResults[SIMULATION_KEY].label =
+        this.i18n.t("simulator.label");
+    }
+    this.displayElectionResultsPicker(data.electionResults);
+    this.displayAxisNames();
+    this.updateCompassLabels();
+    this.setLibraryStatus("");
+
+    this.redisplayPartyPicker(
+      this.getSelectedShortNames(),
+      this.getSupportingShortNames(),
     );
+    this.updateUserPosition();
+    this.updateComparison();
+    this.displayLibrary();
+    this.refreshCoalitionFinder();
+    if (this.seatSimulator && this.seatSimulator.style.display !== "none") {
+      this.updateSimulationSummary();
+    }
+  }
 
-    checkboxes.forEach((checkbox) => {
-      if (checkbox.checked) {
-        const index = parseInt(checkbox.dataset.index);
-        this.selectedParties.add(index);
-      }
-    });
-
-    // Update selected count with short names and total seats
-    const count = this.selectedParties.size;
-    let selectedShortNamesArray = [];
+  /**
+   * Translate the axis labels and party descriptions on the compass
+   */
+  updateCompassLabels() {
+    const svg = this.svgDisplay.querySelector("svg");
+    if (!svg) return;
 
-    if (count === 0) {
-      this.selectedCount.textContent = "Geselecteerd: geen";
-      this.coalitionStats.style.display = "none";
-    } else {
-      selectedShortNamesArray = Array.from(this.selectedParties).map(
-        (index) => this.parties[index].shortName,
+    svg.querySelectorAll(":scope > text[data-side]").forEach((label) => {
+      label.textContent = this.i18n.translateDirection(
+        this.parser.getAllData().axisLabels[label.dataset.side],
       );
+    });
+    moveParties(
+      svg.querySelector(".Compass__compass"),
+      this.getCompassParties(),
+    );
+  }
 
-      const selectedShortNames = selectedShortNamesArray.join(", ");
+  /**
+   * Sort parties by seats in the active result set (descending)
+   */
+  sortParties() {
+    this.parties.sort(
+      (a, b) =>
+        getPartySeats(b, this.resultsKey) - getPartySeats(a, this.resultsKey),
+    );
+  }
 
-      // Calculate total seats
-      const totalSeats = Array.from(this.selectedParties).reduce(
-        (sum, index) => {
-          const party = this.parties[index];
-          const seats = party.electionResults2025
-            ? party.electionResults2025.seats
-            : 0;
-          return sum + seats;
-        },
-        0,
-      );
+  displayElectionResultsPicker(electionResults) {
+    if (!this.electionResultsSelect) return;
+
+    // The Eerste Kamer seats are only used for the majority check
+    this.electionResultsSelect.innerHTML = Object.entries(electionResults)
+      .filter(([, results]) => results.chamber === "tweede-kamer")
+      .map(
+        ([key, results]) =>
+          `<option value="${key}"${key === this.resultsKey ? " selected" : ""}>${results.label}</option>`,
+      )
+      .join("");
+  }
 
-      this.selectedCount.textContent = `Geselecteerd: ${selectedShortNames}`;
+  /**
+   * Switch the result set that drives seats, sorting and weighting,
+   * keeping the currently selected parties selected
+   */
+  handleElectionResultsChange() {
+    const selectedShortNames = this.getSelectedShortNames();
+    const supportingShortNames = this.getSupportingShortNames();
+
+    this.resultsKey = this.electionResultsSelect.value;
+    this.sortParties();
+    this.redisplayPartyPicker(selectedShortNames, supportingShortNames);
+    this.refreshCoalitionFinder();
+  }
 
-      // Update coalition statistics
-      this.updateCoalitionStats(totalSeats);
+  /**
+   * Draw the party picker again after the parties changed, selecting the
+   * given parties by short name
+   */
+  redisplayPartyPicker(selectedShortNames, supportingShortNames) {
+    this.displayPartyPicker(this.parties);
+    if (this.searchBox) {
+      this.filterParties();
     }
 
-    // Update URL query parameters
-    this.updateQueryParams(selectedShortNamesArray);
+    this.selectParties(
+      this.getIndicesByShortNames(selectedShortNames),
+      this.getIndicesByShortNames(supportingShortNames),
+    );
+  }
 
-    // Update the compass visualization
-    this.updateCompassMarker();
+  /**
+   * Show the slider for the compass editions, when there is more than one
+   */
+  displayEditionControls(data) {
+    if (!this.editionControls) return;
+
+    this.editionControls.hidden = data.editions.length < 2;
+    this.editionSlider.max = String(data.editions.length - 1);
+    this.editionSlider.value = String(data.editions.indexOf(this.editionKey));
+    this.editionSlider.setAttribute("aria-valuetext", this.editionKey);
+    this.editionLabel.textContent = this.editionKey;
   }
 
-  updateQueryParams(selectedShortNames) {
-    const url = new URL(window.location);
+  /**
+   * Give every party its position and title on the compass of the active
+   * edition. Parties that were not on that compass keep their current
+   * position and are marked absent.
+   */
+  applyEditionPositions() {
+    const { currentEdition } = this.parser.getAllData();
+
+    this.parties.forEach((party) => {
+      const edition = party.editions[this.editionKey];
+      const shown = edition ?? party.editions[currentEdition];
+      party.position = shown.position;
+      party.politicalPosition = shown.politicalPosition;
+      party.title = shown.title;
+      party.isAbsent = !edition;
+    });
+  }
 
-    if (selectedShortNames.length === 0) {
-      // Remove the parties parameter if no parties are selected
-      url.searchParams.delete("parties");
-    } else {
-      // Set the parties parameter with comma-separated short names
-      url.searchParams.set("parties", selectedShortNames.join(","));
+  /**
+   * Get the parties as shown on the compass, noting in their titles when
+   * they were not on the compass of the active edition
+   */
+  getCompassParties() {
+    return this.parties.map((party) => {
+      const title = `${party.name}: ${this.formatPartyPosition(party)}.`;
+      return {
+        ...party,
+        title: party.isAbsent
+          ? `${title} ${this.i18n.t("compass.absent", { edition: this.editionKey })}.`
+          : title,
+      };
+    });
+  }
+
+  /**
+   * Switch to the positions of another compass edition. The icons move and
+   * the averages, stats and coalition finder follow; the selection stays.
+   */
+  setEdition(editionKey) {
+    const data = this.parser.getAllData();
+    this.editionKey = editionKey;
+    this.applyEditionPositions();
+    this.displayEditionControls(data);
+
+    const compassSvg = this.svgDisplay.querySelector(".Compass__compass");
+    if (compassSvg) {
+      moveParties(compassSvg, this.getCompassParties());
     }
 
-    // Update the URL without reloading the page
-    window.history.replaceState({}, "", url);
+    this.redisplayPartyPicker(
+      this.getSelectedShortNames(),
+      this.getSupportingShortNames(),
+    );
+    this.updateComparison();
+    this.refreshCoalitionFinder();
   }
 
-  updateCoalitionStats(totalSeats) {
-    if (this.selectedParties.size === 0) {
+  /**
+   * Draw the path of every party across the compass editions, in the
+   * marker colour for the selected parties, or remove the paths
+   */
+  updateTrajectories() {
+    const compassSvg = this.svgDisplay.querySelector(".Compass__compass");
+    if (!compassSvg || !this.showTrajectoriesCheckbox) return;
+
+    const { editions } = this.parser.getAllData();
+    const trajectories = this.showTrajectoriesCheckbox.checked
+      ? this.parties
+          .map((party, index) => ({
+            points: editions
+              .slice(0, editions.indexOf(this.editionKey) + 1)
+              .filter((key) => party.editions[key])
+              .map((key) => ({
+                ...this.coordinates.getIconCenter(party.editions[key].position),
+                label: `${party.shortName} (${key})`,
+              })),
+            color:
+              this.selectedParties.has(index) ||
+              this.supportingParties.has(index)
+                ? "#ff0000"
+                : "#808080",
+          }))
+          .filter((trajectory) => trajectory.points.length > 1)
+      : [];
+
+    drawTrajectories(compassSvg, trajectories);
+  }
+
+  /**
+   * Get the selection in the query parameters: the members, the supporting
+   * parties and whether the average is weighted
+   */
+  getQuerySelection() {
+    const indices = this.getIndicesByShortNames(this.getQueryParties());
+    return {
+      indices,
+      supportingIndices: this.getIndicesByShortNames(
+        this.getQueryParties("support"),
+      ).filter((index) => !indices.includes(index)),
+      weighted:
+        new URLSearchParams(window.location.search).get("weighted") === "1",
+    };
+  }
+
+  /**
+   * Pre-select parties based on query parameters
+   */
+  preSelectFromQuery() {
+    const { indices, supportingIndices, weighted } = this.getQuerySelection();
+    if (this.weightedAverageCheckbox) {
+      this.weightedAverageCheckbox.checked = weighted;
+    }
+    if (
+      this.getQueryParties().length === 0 &&
+      this.getQueryParties("support").length === 0
+    ) {
+      return;
+    }
+
+    // Use requestAnimationFrame to ensure the SVG is fully rendered before drawing the marker
+    requestAnimationFrame(() => {
+      this.selectParties(indices, supportingIndices);
+    });
+  }
+
+  /**
+   * Restore the selection and weighting of a history entry after back,
+   * forward, undo or redo, without adding a new entry
+   */
+  restoreFromHistory(state) {
+    this.historyIndex = state?.index ?? 0;
+
+    const { indices, supportingIndices, weighted } = this.getQuerySelection();
+    if (this.weightedAverageCheckbox) {
+      this.weightedAverageCheckbox.checked = weighted;
+    }
+
+    this.isRestoringHistory = true;
+    try {
+      this.selectParties(indices, supportingIndices);
+    } finally {
+      this.isRestoringHistory = false;
+    }
+    this.refreshCoalitionFinder();
+  }
+
+  undo() {
+    if (this.historyIndex > 0) {
+      window.history.back();
+    }
+  }
+
+  redo() {
+    if (this.historyIndex < this.historyLength) {
+      window.history.forward();
+    }
+  }
+
+  /**
+   * Undo with Ctrl+Z (Cmd+Z), redo with Ctrl+Shift+Z or Ctrl+Y. Text fields
+   * keep their own undo.
+   */
+  handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+    const target = event.target;
+    const isTextField =
+      target.tagName === "TEXTAREA" ||
+      target.tagName === "SELECT" ||
+      (target.tagName === "INPUT" && target.type !== "checkbox");
+    if (isTextField) return;
+
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) {
+      event.preventDefault();
+      this.undo();
+    } else if ((key === "z" && event.shiftKey) || key === "y") {
+      event.preventDefault();
+      this.redo();
+    }
+  }
+
+  updateHistoryButtons() {
+    if (!this.undoButton) return;
+    this.undoButton.disabled = this.historyIndex === 0;
+    this.redoButton.disabled = this.historyIndex >= this.historyLength;
+  }
+
+  /**
+   * Get the indices of the parties with the given short names (case-insensitive)
+   */
+  getIndicesByShortNames(shortNames) {
+    return findPartyIndices(this.parties, shortNames);
+  }
+
+  getSelectedShortNames() {
+    return Array.from(this.selectedParties).map(
+      (index) => this.parties[index].shortName,
+    );
+  }
+
+  getSupportingShortNames() {
+    return Array.from(this.supportingParties).map(
+      (index) => this.parties[index].shortName,
+    );
+  }
+
+  /**
+   * The coalition members together with their supporting parties, the
+   * parties that make up the majority
+   */
+  getSupportedIndices() {
+    return new Set([...this.selectedParties, ...this.supportingParties]);
+  }
+
+  /**
+   * Check exactly the given party indices as members and supporting parties
+   * and update the selection
+   */
+  selectParties(indices, supportingIndices = []) {
+    this.parties.forEach((_, index) => {
+      const checkbox = document.getElementById(`party-${index}`);
+      if (checkbox) {
+        checkbox.checked = indices.includes(index);
+      }
+      const supportCheckbox = document.getElementById(`support-${index}`);
+      if (supportCheckbox) {
+        supportCheckbox.checked = supportingIndices.includes(index);
+      }
+    });
+
+    this.handlePartySelection();
+  }
+
+  displayPartyPicker(parties) {
+    const html = parties
+      .map((party, index) => {
+        const result = getPartyResult(party, this.resultsKey);
+        return `
+        <div class="party-checkbox" data-party-name="${party.name.toLowerCase()}" data-party-short="${party.shortName.toLowerCase()}">
+          <input 
+            type="checkbox" 
+            id="party-${index}" 
+            data-index="${index}"
+          />
+          <label for="party-${index}">
+            ${formatPartyLogo(party)}
+            <div class="party-info">
+              <div>
+                <strong>${party.name}</strong> 
+                <span style="color: #666; font-weight: normal;">(${party.shortName})</span>
+              </div>
+              <small>${this.formatPartyPosition(party)}</small>
+            </div>
+            <span class="party-distance" data-index="${index}"></span>
+            ${
+              result
+                ? `<span class="seats-badge">${this.formatSeats(result.seats)}</span>`
+                : ""
+            }
+          </label>
+          <label class="support-toggle" title="${this.i18n.t("select.supportTitle")}">
+            <input
+              type="checkbox"
+              id="support-${index}"
+              data-index="${index}"
+              aria-label="${this.i18n.t("select.supportLabel", { party: party.shortName })}"
+            />
+            ${this.i18n.t("select.support")}
+          </label>
+        </div>
+      `;
+      })
+      .join("");
+
+    this.partyPicker.innerHTML = html;
+
+    // Add event listeners to all checkboxes, a party is either a member or
+    // a supporting party
+    parties.forEach((party, index) => {
+      const checkbox = document.getElementById(`party-${index}`);
+      const supportCheckbox = document.getElementById(`support-${index}`);
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) supportCheckbox.checked = false;
+        this.handlePartySelection();
+      });
+      supportCheckbox.addEventListener("change", () => {
+        if (supportCheckbox.checked) checkbox.checked = false;
+        this.handlePartySelection();
+      });
+    });
+
+    this.updatePartyDistances();
+    this.displayPartyTable();
+  }
+
+  /**
+   * Show each party's distance to the visitor's own position in the picker
+   */
+  updatePartyDistances() {
+    this.partyPicker.querySelectorAll(".party-distance").forEach((element) => {
+      const party = this.parties[parseInt(element.dataset.index)];
+      element.textContent = this.userPosition
+        ? this.i18n.t("common.distanceToYou", {
+            distance: this.i18n.formatNumber(
+              getDistance(
+                getSignedPosition(party, this.axes),
+                this.userPosition,
+              ),
+            ),
+          })
+        : "";
+    });
+  }
+
+  filterParties() {
+    const searchTerm = this.searchBox.value.toLowerCase();
+    const partyElements = this.partyPicker.querySelectorAll(".party-checkbox");
+
+    partyElements.forEach((element) => {
+      const partyName = element.dataset.partyName;
+      const partyShort = element.dataset.partyShort;
+
+      if (partyName.includes(searchTerm) || partyShort.includes(searchTerm)) {
+        element.style.display = "";
+      } else {
+        element.style.display = "none";
+      }
+    });
+  }
+
+  handlePartySelection() {
+    // Update selected parties set
+    this.selectedParties.clear();
+    this.supportingParties.clear();
+    const checkboxes = this.partyPicker.querySelectorAll(
+      'input[type="checkbox"]',
+    );
+
+    checkboxes.forEach((checkbox) => {
+      if (checkbox.checked) {
+        const index = parseInt(checkbox.dataset.index);
+        if (checkbox.id.startsWith("support-")) {
+          this.supportingParties.add(index);
+        } else {
+          this.selectedParties.add(index);
+        }
+      }
+    });
+
+    // Update selected count with short names and total seats
+    const count = this.selectedParties.size;
+    let selectedShortNamesArray = [];
+
+    if (count === 0) {
+      this.selectedCount.textContent = this.i18n.t("select.none");
+      this.selectedCount.removeAttribute("aria-label");
       this.coalitionStats.style.display = "none";
+      this.updateCohesionStats();
+      this.updateMajorityCheck();
+    } else {
+      selectedShortNamesArray = Array.from(this.selectedParties).map(
+        (index) => this.parties[index].shortName,
+      );
+
+      const selectedShortNames = selectedShortNamesArray.join(", ");
+      const supportingShortNames = this.getSupportingShortNames().join(", ");
+
+      // Calculate total seats
+      const totalSeats = this.getSelectedSeats();
+
+      const formatChips = (indices) =>
+        Array.from(indices)
+          .map(
+            (index) =>
+              `<span class="selected-party">${formatPartyLogo(this.parties[index])}${this.parties[index].shortName}</span>`,
+          )
+          .join(" ");
+      this.selectedCount.innerHTML = `${this.i18n.t("select.selected", {
+        parties: formatChips(this.selectedParties),
+      })}${
+        this.supportingParties.size > 0
+          ? ` <span class="supporting-parties">${this.i18n.t(
+              "common.supportedBy",
+              { parties: formatChips(this.supportingParties) },
+            )}</span>`
+          : ""
+      }`;
+      this.selectedCount.setAttribute(
+        "aria-label",
+        `${this.i18n.t("select.selected", { parties: selectedShortNames })}${
+          supportingShortNames
+            ? `, ${this.i18n.t("common.supportedBy", { parties: supportingShortNames })}`
+            : ""
+        }`,
+      );
+
+      // Update coalition statistics
+      this.updateCoalitionStats(totalSeats);
+      this.updateCohesionStats();
+      this.updateMajorityCheck();
+    }
+
+    // Update URL query parameters
+    this.updateQueryParams(selectedShortNamesArray);
+
+    // Update the compass visualization and its text alternatives
+    this.updateCompassMarker();
+    this.updatePartyTableSelection();
+    this.announceCoalition();
+
+    // The current selection is the first row of the comparison
+    this.updateComparison();
+
+    if (this.embedBridge && !this.isApplyingEmbedCommand) {
+      this.embedBridge.post("change", { state: this.getEmbedState() });
+    }
+  }
+
+  /**
+   * Get the selection and the stats shown for it, for the host page of an
+   * embedded widget
+   */
+  getEmbedState() {
+    const coalition = this.getExportCoalition();
+    const data = this.parser.getAllData();
+
+    return {
+      parties: this.getSelectedShortNames(),
+      supporting: this.getSupportingShortNames(),
+      weighted: this.weightedAverageCheckbox?.checked ?? false,
+      results: this.resultsKey,
+      stats: coalition && {
+        seats: coalition.seats,
+        supportingSeats: coalition.supportingSeats,
+        horizontal: coalition.horizontal,
+        vertical: coalition.vertical,
+        spread: coalition.spread,
+        distance: this.userPosition
+          ? getDistance(coalition, this.userPosition)
+          : null,
+      },
+      majority: Object.fromEntries(
+        [
+          ["tweede-kamer", this.resultsKey],
+          ["eerste-kamer", this.senateResultsKey],
+        ]
+          .filter(([, resultsKey]) => resultsKey)
+          .map(([chamber, resultsKey]) => {
+            const status = this.getMajorityStatus(resultsKey);
+            return [
+              chamber,
+              {
+                label: data.electionResults[resultsKey].label,
+                seats: status.seats,
+                majority: status.majority,
+                hasMajority: status.shortfall <= 0,
+              },
+            ];
+          }),
+      ),
+    };
+  }
+
+  /**
+   * Apply a command from the host page of an embedded widget: the result
+   * set, weighting and selection, then report the new state once
+   */
+  handleEmbedCommand(command) {
+    if (command.type === "get") {
+      this.embedBridge.post("change", { state: this.getEmbedState() });
       return;
     }
 
-    // Calculate weighted or simple average of political positions
-    const useWeighted =
-      this.weightedAverageCheckbox && this.weightedAverageCheckbox.checked;
+    const data = this.parser.getAllData();
+    if (
+      command.results !== undefined &&
+      data.electionResults[command.results]?.chamber !== "tweede-kamer"
+    ) {
+      throw new EmbedMessageError(`Unknown result set "${command.results}"`);
+    }
+
+    const getIndices = (shortNames) => {
+      const indices = this.getIndicesByShortNames(shortNames);
+      if (indices.length !== shortNames.length) {
+        const known = indices.map((index) =>
+          this.parties[index].shortName.toUpperCase(),
+        );
+        throw new EmbedMessageError(
+          `Unknown parties: ${shortNames
+            .filter((shortName) => !known.includes(shortName.toUpperCase()))
+            .join(", ")}`,
+        );
+      }
+      return indices;
+    };
+    const parties = command.parties ?? this.getSelectedShortNames();
+    const supporting =
+      command.supporting ??
+      this.getSupportingShortNames().filter(
+        (shortName) => !parties.includes(shortName),
+      );
+    // Check the parties before changing anything, switching the result set
+    // sorts the parties so their indices are looked up again afterwards
+    getIndices(parties);
+    getIndices(supporting);
+
+    this.isApplyingEmbedCommand = true;
+    try {
+      if (command.weighted !== undefined && this.weightedAverageCheckbox) {
+        this.weightedAverageCheckbox.checked = command.weighted;
+      }
+      if (command.results !== undefined) {
+        this.electionResultsSelect.value = command.results;
+        this.handleElectionResultsChange();
+      }
+      const indices = getIndices(parties);
+      this.selectParties(
+        indices,
+        getIndices(supporting).filter((index) => !indices.includes(index)),
+      );
+    } finally {
+      this.isApplyingEmbedCommand = false;
+    }
+    this.refreshCoalitionFinder();
+    this.embedBridge.post("change", { state: this.getEmbedState() });
+  }
+
+  updateQueryParams(selectedShortNames) {
+    const url = new URL(window.location);
+
+    if (selectedShortNames.length === 0) {
+      // Remove the parties parameter if no parties are selected
+      url.searchParams.delete("parties");
+    } else {
+      // Set the parties parameter with comma-separated short names
+      url.searchParams.set("parties", selectedShortNames.join(","));
+    }
+
+    if (this.supportingParties.size === 0) {
+      url.searchParams.delete("support");
+    } else {
+      url.searchParams.set("support", this.getSupportingShortNames().join(","));
+    }
+
+    if (this.weightedAverageCheckbox?.checked) {
+      url.searchParams.set("weighted", "1");
+    } else {
+      url.searchParams.delete("weighted");
+    }
+
+    const { currentEdition } = this.parser.getAllData();
+    if (this.editionKey === currentEdition) {
+      url.searchParams.delete("edition");
+    } else {
+      url.searchParams.set("edition", this.editionKey);
+    }
+
+    if (this.i18n.language === DEFAULT_LANGUAGE) {
+      url.searchParams.delete("lang");
+    } else {
+      url.searchParams.set("lang", this.i18n.language);
+    }
+
+    // Only keep the result set in the URL when it is not the default one
+    if (this.resultsKey === this.defaultResultsKey) {
+      url.searchParams.delete("results");
+    } else {
+      url.searchParams.set("results", this.resultsKey);
+    }
+
+    if (this.simulatedVotes) {
+      url.searchParams.set(
+        "votes",
+        Object.entries(this.simulatedVotes)
+          .filter(([, share]) => share > 0)
+          .map(([shortName, share]) => `${shortName}:${share}`)
+          .join(","),
+      );
+    } else {
+      url.searchParams.delete("votes");
+    }
+
+    if (this.userPosition) {
+      url.searchParams.set(
+        "me",
+        `${this.userPosition.horizontal},${this.userPosition.vertical}`,
+      );
+    } else {
+      url.searchParams.delete("me");
+    }
+
+    if (this.comparedCoalitions.length === 0) {
+      url.searchParams.delete("compare");
+    } else {
+      url.searchParams.set(
+        "compare",
+        this.comparedCoalitions
+          .map(
+            (coalition) =>
+              `${coalition.name}:${coalition.shortNames.join(",")}`,
+          )
+          .join(";"),
+      );
+    }
+
+    // Selection changes become history entries, so back and undo restore
+    // them; other settings only update the current entry
+    // An embedded widget keeps out of the history of its host page
+    if (
+      !this.isRestoringHistory &&
+      !this.isEmbedded &&
+      getSelectionKey(url) !== getSelectionKey(new URL(window.location))
+    ) {
+      this.historyIndex++;
+      this.historyLength = this.historyIndex;
+      window.history.pushState({ index: this.historyIndex }, "", url);
+    } else {
+      window.history.replaceState({ index: this.historyIndex }, "", url);
+    }
+    this.updateHistoryButtons();
+  }
+
+  /**
+   * Get a set of parties as a coalition in the active result set, weighted
+   * when the weighted option is checked
+   */
+  getCoalition(indices = this.selectedParties, resultsKey = this.resultsKey) {
+    return new Coalition(this.parties, indices, {
+      resultsKey,
+      chamber: this.parser.getAllData().electionResults[resultsKey].chamber,
+      axes: this.axes,
+      weighted: this.weightedAverageCheckbox?.checked ?? false,
+    });
+  }
+
+  getSelectedSeats(indices = this.selectedParties) {
+    return this.getCoalition(indices).getSeats();
+  }
+
+  updateCoalitionStats(totalSeats) {
+    const position = this.calculatePoliticalAverage();
+    if (!position) {
+      this.coalitionStats.style.display = "none";
+      return;
+    }
+
+    const supportingSeats = this.getSelectedSeats(this.supportingParties);
+    const html = `
+      <span class="coalition-stats-item">${this.formatSeats(totalSeats)}${
+        this.supportingParties.size > 0
+          ? ` ${this.i18n.t("common.supportingSeats", { count: supportingSeats })}`
+          : ""
+      }</span>
+      <span class="coalition-stats-item">${this.formatAxisValue(position.horizontal, this.axes.horizontal)}</span>
+      <span class="coalition-stats-item">${this.formatAxisValue(position.vertical, this.axes.vertical)}</span>
+      ${
+        this.userPosition
+          ? `<span class="coalition-stats-item">${this.i18n.t(
+              "common.distanceToYou",
+              {
+                distance: this.i18n.formatNumber(
+                  getDistance(position, this.userPosition),
+                ),
+              },
+            )}</span>`
+          : ""
+      }
+    `;
+
+    this.coalitionStatsContent.innerHTML = html;
+    this.coalitionStats.style.display = "inline-block";
+  }
+
+  /**
+   * Check the selected and supporting parties against the majority of the
+   * chamber of a result set and find the other parties that could close the gap
+   */
+  getMajorityStatus(resultsKey, indices = this.getSupportedIndices()) {
+    return this.getCoalition(indices, resultsKey).getMajorityStatus();
+  }
+
+  /**
+   * Show per chamber whether the selection has a majority, by how much,
+   * and which parties could close the gap
+   */
+  updateMajorityCheck() {
+    if (!this.majorityCheck) return;
+    if (this.selectedParties.size === 0) {
+      this.majorityCheck.hidden = true;
+      return;
+    }
+
+    const data = this.parser.getAllData();
+    const chambers = [
+      ["tweede-kamer", this.resultsKey],
+      ["eerste-kamer", this.senateResultsKey],
+    ].filter(([, resultsKey]) => resultsKey);
+
+    this.majorityCheck.innerHTML = chambers
+      .map(([chamber, resultsKey]) => {
+        const status = this.getMajorityStatus(resultsKey);
+        const hasMajority = status.shortfall <= 0;
+        const formatParty = (party) =>
+          `${party.shortName} (${getPartySeats(party, resultsKey)})`;
+
+        let advice = "";
+        if (!hasMajority && status.closers.length === 0) {
+          advice = this.i18n.t("majority.impossible");
+        } else if (status.combined) {
+          advice = this.i18n.t("majority.combined", {
+            parties: status.closers.map(formatParty).join(" + "),
+          });
+        } else if (!hasMajority) {
+          advice = this.i18n.t("majority.closers", {
+            parties: status.closers.map(formatParty).join(", "),
+          });
+        }
+
+        return `
+        <div class="majority-row ${hasMajority ? "majority-row--yes" : "majority-row--no"}">
+          <div>
+            <strong>${this.i18n.t(`chamber.${chamber}`)}</strong>
+            <span class="muted-inline">${data.electionResults[resultsKey].label}</span>
+          </div>
+          <div>
+            ${this.i18n.t("majority.seats", {
+              seats: status.seats,
+              total: CHAMBERS[chamber].seats,
+              majority: status.majority,
+            })}
+            <strong>${
+              hasMajority
+                ? this.i18n.t("majority.surplus", {
+                    count: Math.max(0, -status.shortfall),
+                  })
+                : this.i18n.t("majority.shortfall", { count: status.shortfall })
+            }</strong>
+          </div>
+          ${advice ? `<small>${advice}</small>` : ""}
+        </div>
+      `;
+      })
+      .join("");
+    this.majorityCheck.hidden = false;
+  }
+
+  /**
+   * Calculate the weighted or simple average of the selected parties'
+   * signed political positions, null without a selection
+   */
+  calculatePoliticalAverage(indices = this.selectedParties) {
+    return this.getCoalition(indices).getAverage();
+  }
+
+  /**
+   * Get the marker position for a set of parties in compass percentages,
+   * placed at exactly the average reported in the stats
+   */
+  getMarkerPosition(indices = this.selectedParties) {
+    const average = this.calculatePoliticalAverage(indices);
+    return average ? this.coordinates.fromPolitical(average) : null;
+  }
+
+  /**
+   * Calculate how closely the selected parties lie together, see
+   * `Coalition.getCohesion`
+   */
+  calculateCohesion(indices = this.selectedParties) {
+    return this.getCoalition(indices).getCohesion();
+  }
+
+  updateCohesionStats() {
+    if (!this.cohesionStats) return;
+
+    const cohesion = this.calculateCohesion();
+    if (!cohesion || this.selectedParties.size < 2) {
+      this.cohesionDetails.hidden = true;
+      return;
+    }
+
+    const { horizontal, vertical, largestParty, distances } = cohesion;
+    this.cohesionStats.innerHTML = `
+      <table class="cohesion-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th>${this.formatAxisName(this.axes.horizontal)}</th>
+            <th>${this.formatAxisName(this.axes.vertical)}</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <th>${this.i18n.t("cohesion.range")}</th>
+            <td>${this.i18n.formatNumber(horizontal.range)}</td>
+            <td>${this.i18n.formatNumber(vertical.range)}</td>
+          </tr>
+          <tr>
+            <th>${this.i18n.t("cohesion.standardDeviation")}</th>
+            <td>${this.i18n.formatNumber(horizontal.standardDeviation)}</td>
+            <td>${this.i18n.formatNumber(vertical.standardDeviation)}</td>
+          </tr>
+          <tr>
+            <th>${this.i18n.t("cohesion.median")}</th>
+            <td>${this.formatAxisValue(horizontal.median, this.axes.horizontal)}</td>
+            <td>${this.formatAxisValue(vertical.median, this.axes.vertical)}</td>
+          </tr>
+          <tr>
+            <th>
+              ${this.i18n.t("cohesion.largestParty", {
+                party: largestParty.party.shortName,
+                distance: this.i18n.formatNumber(largestParty.distance),
+              })}
+            </th>
+            <td>${this.formatAxisValue(largestParty.position.horizontal, this.axes.horizontal)}</td>
+            <td>${this.formatAxisValue(largestParty.position.vertical, this.axes.vertical)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <p class="cohesion-distances">
+        <strong>${this.i18n.t("cohesion.distances")}</strong>
+        ${distances
+          .map(
+            ({ party, distance }) =>
+              `<span class="cohesion-distance">${party.shortName} ${this.i18n.formatNumber(distance)}</span>`,
+          )
+          .join(" ")}
+      </p>
+    `;
+    this.cohesionDetails.hidden = false;
+  }
+
+  /**
+   * Add the current selection to the compared coalitions
+   */
+  addComparison() {
+    const shortNames = this.getSelectedShortNames();
+    if (shortNames.length === 0) return;
+
+    // Colons and semicolons separate coalitions in the URL
+    const name =
+      this.comparisonNameInput.value.replace(/[:;]/g, "").trim() ||
+      this.i18n.t("common.defaultCoalitionName", {
+        name: String.fromCharCode(65 + this.comparedCoalitions.length),
+      });
+
+    this.comparedCoalitions.push({ name, shortNames });
+    this.comparisonNameInput.value = "";
+    this.handleComparisonChange();
+  }
+
+  /**
+   * Get localStorage, or null when the browser does not allow it
+   */
+  getStorage() {
+    try {
+      return window.localStorage;
+    } catch (error) {
+      console.error("Error opening localStorage:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the current selection, weighting and notes under the given name,
+   * replacing a saved coalition with the same name
+   */
+  saveCoalition() {
+    const parties = this.getSelectedShortNames();
+    if (parties.length === 0) return;
+
+    const name =
+      this.libraryNameInput.value.trim() ||
+      this.i18n.t("common.defaultCoalitionName", { name: parties.join(" + ") });
+
+    try {
+      const coalition = this.library.save({
+        name,
+        parties,
+        supporting: this.getSupportingShortNames(),
+        weighted: this.weightedAverageCheckbox?.checked ?? false,
+        notes: this.libraryNotesInput.value.trim(),
+      });
+      this.setLibraryStatus(
+        this.i18n.t("library.saved", { name: coalition.name }),
+      );
+    } catch (error) {
+      this.setLibraryStatus(this.formatLibraryError(error));
+    }
+    this.displayLibrary();
+  }
+
+  /**
+   * Restore the selection and weighting of a saved coalition, and put its
+   * name and notes back in the form so it can be saved again
+   */
+  loadCoalition(name) {
+    const coalition = this.library.get(name);
+    if (!coalition) return;
+
+    if (this.weightedAverageCheckbox) {
+      this.weightedAverageCheckbox.checked = coalition.weighted;
+    }
+    this.libraryNameInput.value = coalition.name;
+    this.libraryNotesInput.value = coalition.notes;
+
+    const indices = this.getIndicesByShortNames(coalition.parties);
+    this.selectParties(
+      indices,
+      this.getIndicesByShortNames(coalition.supporting),
+    );
+    this.refreshCoalitionFinder();
+
+    const missing = coalition.parties.length - indices.length;
+    this.setLibraryStatus(
+      missing > 0
+        ? this.i18n.t("library.loadedMissing", {
+            name: coalition.name,
+            count: missing,
+          })
+        : this.i18n.t("library.loaded", { name: coalition.name }),
+    );
+  }
+
+  removeSavedCoalition(name) {
+    this.library.remove(name);
+    this.setLibraryStatus(this.i18n.t("library.removed", { name }));
+    this.displayLibrary();
+  }
+
+  setLibraryStatus(message) {
+    if (this.libraryStatus) {
+      this.libraryStatus.textContent = message;
+    }
+  }
+
+  /**
+   * Translate an error of the library by its code, other errors keep their
+   * own message
+   */
+  formatLibraryError(error) {
+    return error.code
+      ? this.i18n.t(`library.error.${error.code}`)
+      : error.message;
+  }
+
+  /**
+   * List the saved coalitions with their seats in the active result set
+   */
+  displayLibrary() {
+    if (!this.libraryList) return;
+
+    const coalitions = this.library.list();
+    this.libraryList.innerHTML = coalitions
+      .map((coalition, position) => {
+        const seats = this.getSelectedSeats(
+          this.getIndicesByShortNames(coalition.parties),
+        );
+        return `
+        <li>
+          <div>
+            <strong>${escapeHtml(coalition.name)}</strong>
+            ${coalition.parties.map(escapeHtml).join(" + ")}${
+              coalition.supporting.length > 0
+                ? `, ${this.i18n.t("common.supportedBy", {
+                    parties: coalition.supporting.map(escapeHtml).join(" + "),
+                  })}`
+                : ""
+            } (${this.formatSeats(seats)}${
+              coalition.weighted ? `, ${this.i18n.t("common.weighted")}` : ""
+            })
+            ${coalition.notes ? `<small>${escapeHtml(coalition.notes)}</small>` : ""}
+          </div>
+          <div class="comparison-actions">
+            <button type="button" data-action="load" data-position="${position}">${this.i18n.t("common.load")}</button>
+            <button type="button" data-action="remove" data-position="${position}" aria-label="${this.i18n.t("common.remove", { name: escapeHtml(coalition.name) })}">×</button>
+          </div>
+        </li>
+      `;
+      })
+      .join("");
+
+    this.libraryList.querySelectorAll("button").forEach((button) => {
+      const { name } = coalitions[parseInt(button.dataset.position)];
+      button.addEventListener("click", () => {
+        if (button.dataset.action === "remove") {
+          this.removeSavedCoalition(name);
+        } else {
+          this.loadCoalition(name);
+        }
+      });
+    });
+
+    this.exportLibraryButton.disabled = coalitions.length === 0;
+  }
+
+  exportLibrary() {
+    this.downloadBlob(
+      new Blob([this.library.serialize()], { type: "application/json" }),
+      "kieskompas-coalities.json",
+    );
+  }
+
+  /**
+   * Merge the coalitions of an exported library file into the library
+   */
+  async importLibrary(file) {
+    if (!file) return;
+
+    try {
+      const { added, replaced, skipped } = this.library.import(
+        await file.text(),
+      );
+      this.setLibraryStatus(
+        `${this.i18n.t("library.imported", { added, replaced })}${
+          skipped > 0 ? this.i18n.t("library.skipped", { skipped }) : ""
+        }`,
+      );
+    } catch (error) {
+      this.setLibraryStatus(
+        this.i18n.t("library.importFailed", {
+          message: this.formatLibraryError(error),
+        }),
+      );
+    }
+    this.importLibraryFile.value = "";
+    this.displayLibrary();
+  }
+
+  removeComparison(position) {
+    this.comparedCoalitions.splice(position, 1);
+    this.handleComparisonChange();
+  }
+
+  handleComparisonChange() {
+    this.updateComparison();
+    this.updateQueryParams(this.getSelectedShortNames());
+  }
+
+  getComparisonColor(position) {
+    return COMPARISON_COLORS[position % COMPARISON_COLORS.length];
+  }
+
+  /**
+   * Seats, average position and spread of a set of parties
+   */
+  getCoalitionMetrics(indices) {
+    return this.getCoalition(indices).getMetrics();
+  }
+
+  /**
+   * Render the comparison table and the markers of the compared coalitions
+   */
+  updateComparison() {
+    if (!this.comparisonTable) return;
+
+    const rows = this.comparedCoalitions.map((coalition, position) => ({
+      name: coalition.name,
+      color: this.getComparisonColor(position),
+      indices: this.getIndicesByShortNames(coalition.shortNames),
+      position,
+    }));
+    if (this.selectedParties.size > 0) {
+      rows.unshift({
+        name: this.i18n.t("comparison.current"),
+        color: "#ff0000",
+        indices: Array.from(this.selectedParties),
+        position: null,
+      });
+    }
+
+    this.comparisonRows.innerHTML = rows
+      .map((row) => {
+        const metrics = this.getCoalitionMetrics(row.indices);
+        const position = metrics.position;
+        return `
+        <tr>
+          <td>
+            <span class="comparison-swatch" style="background: ${row.color}"></span>
+            ${escapeHtml(row.name)}
+          </td>
+          <td>${row.indices.map((index) => this.parties[index].shortName).join(", ")}</td>
+          <td>${metrics.seats}</td>
+          <td>${position ? this.formatAxisValue(position.horizontal, this.axes.horizontal) : "-"}</td>
+          <td>${position ? this.formatAxisValue(position.vertical, this.axes.vertical) : "-"}</td>
+          <td>${this.i18n.formatNumber(metrics.spread)}</td>
+          <td class="comparison-actions">
+            ${
+              row.position === null
+                ? ""
+                : `<button type="button" data-action="load" data-position="${row.position}">${this.i18n.t("common.load")}</button>
+                   <button type="button" data-action="remove" data-position="${row.position}" aria-label="${this.i18n.t("common.remove", { name: escapeHtml(row.name) })}">×</button>`
+            }
+          </td>
+        </tr>
+      `;
+      })
+      .join("");
+
+    this.comparisonRows.querySelectorAll("button").forEach((button) => {
+      const position = parseInt(button.dataset.position);
+      button.addEventListener("click", () => {
+        if (button.dataset.action === "remove") {
+          this.removeComparison(position);
+        } else {
+          this.selectParties(
+            this.getIndicesByShortNames(
+              this.comparedCoalitions[position].shortNames,
+            ),
+          );
+        }
+      });
+    });
+
+    this.comparisonTable.hidden = rows.length === 0;
+    this.addComparisonButton.disabled = this.selectedParties.size === 0;
+    if (this.saveCoalitionButton) {
+      this.saveCoalitionButton.disabled = this.selectedParties.size === 0;
+    }
+
+    const compassSvg = this.svgDisplay.querySelector(".Compass__compass");
+    if (compassSvg) {
+      drawComparisonMarkers(
+        compassSvg,
+        rows
+          .filter((row) => row.position !== null && row.indices.length > 0)
+          .map((row) => ({
+            ...this.getMarkerPosition(row.indices),
+            color: row.color,
+            label: row.name,
+          })),
+      );
+    }
+  }
+
+  toggleCoalitionFinder() {
+    const isHidden = this.coalitionFinder.style.display === "none";
+    this.coalitionFinder.style.display = isHidden ? "block" : "none";
+    this.findCoalitionsButton.setAttribute("aria-expanded", String(isHidden));
+
+    if (isHidden) {
+      this.displayCoalitions();
+    }
+  }
+
+  toggleSeatSimulator() {
+    const isHidden = this.seatSimulator.style.display === "none";
+    this.seatSimulator.style.display = isHidden ? "block" : "none";
+    this.simulateSeatsButton.setAttribute("aria-expanded", String(isHidden));
+
+    if (isHidden) {
+      this.displaySimulationInputs();
+    }
+  }
+
+  /**
+   * Show a vote share field per party, filled with the last simulation or
+   * else the seat shares of the active result set
+   */
+  displaySimulationInputs() {
+    this.simulationInputs.innerHTML = this.parties
+      .map((party, index) => {
+        const share = this.simulatedVotes
+          ? this.simulatedVotes[party.shortName] || 0
+          : Math.round(
+              (getPartySeats(party, this.resultsKey) / TOTAL_SEATS) * 1000,
+            ) / 10;
+        return `
+        <label for="votes-${index}">
+          ${party.shortName}
+          <input
+            type="number"
+            id="votes-${index}"
+            data-short-name="${party.shortName}"
+            min="0"
+            max="100"
+            step="0.1"
+            value="${share}"
+          />
+        </label>
+      `;
+      })
+      .join("");
+
+    this.updateSimulationSummary();
+  }
+
+  /**
+   * Get the entered vote shares by short name, empty fields count as 0
+   */
+  getSimulationVotes() {
+    const votes = {};
+    this.simulationInputs.querySelectorAll("input").forEach((input) => {
+      const share = parseFloat(input.value);
+      votes[input.dataset.shortName] =
+        Number.isFinite(share) && share > 0 ? share : 0;
+    });
+    return votes;
+  }
+
+  /**
+   * Show the total of the entered shares and what is left for other parties
+   */
+  updateSimulationSummary(unmatched = []) {
+    const total = Object.values(this.getSimulationVotes()).reduce(
+      (sum, share) => sum + share,
+      0,
+    );
+
+    let summary =
+      total > 100
+        ? this.i18n.t("simulator.totalScaled", {
+            total: this.i18n.formatPercentage(total),
+          })
+        : this.i18n.t("simulator.totalRest", {
+            total: this.i18n.formatPercentage(total),
+            rest: this.i18n.formatPercentage(100 - total),
+          });
+    if (unmatched.length > 0) {
+      summary += this.i18n.t("simulator.unmatched", {
+        lines: unmatched.join("; "),
+      });
+    }
+    this.simulationSummary.textContent = summary;
+  }
+
+  /**
+   * Fill the vote share fields from the pasted poll. The poll replaces all
+   * shares, parties it does not name get 0 instead of keeping an earlier
+   * share. A poll without any known party leaves the fields as they are.
+   */
+  handlePollInput() {
+    const { votes, unmatched } = parsePoll(this.pollText.value, this.parties);
+
+    if (Object.keys(votes).length > 0) {
+      this.simulationInputs.querySelectorAll("input").forEach((input) => {
+        input.value = votes[input.dataset.shortName] ?? 0;
+      });
+    }
+    this.updateSimulationSummary(unmatched);
+  }
 
-    let sumHorizontal = 0;
-    let sumVertical = 0;
-    let totalWeight = 0;
-
-    this.selectedParties.forEach((index) => {
-      const party = this.parties[index];
-      const weight =
-        useWeighted && party.electionResults2025
-          ? party.electionResults2025.seats
-          : 1;
-
-      // Use the politicalPosition values directly
-      const horizontalValue = party.politicalPosition.horizontal
-        ? party.politicalPosition.horizontal.value
-        : 0;
-      const verticalValue = party.politicalPosition.vertical
-        ? party.politicalPosition.vertical.value
-        : 0;
-
-      // Track direction (left is negative, right is positive)
-      const horizontalSigned =
-        party.politicalPosition.horizontal?.direction === "rechts"
-          ? horizontalValue
-          : -horizontalValue;
-      const verticalSigned =
-        party.politicalPosition.vertical?.direction === "conservatief"
-          ? verticalValue
-          : -verticalValue;
-
-      sumHorizontal += horizontalSigned * weight;
-      sumVertical += verticalSigned * weight;
-      totalWeight += weight;
+  /**
+   * Add or replace the simulated result set for the given vote shares
+   */
+  setSimulatedResults(votes) {
+    const data = this.parser.getAllData();
+    const seats = apportionSeats(votes);
+
+    data.electionResults[SIMULATION_KEY] = {
+      label: this.i18n.t("simulator.label"),
+      chamber: "tweede-kamer",
+      seats,
+    };
+    data.parties.forEach((party) => {
+      party.electionResults[SIMULATION_KEY] = {
+        seats: seats[party.shortName] || 0,
+      };
     });
+    this.simulatedVotes = votes;
+  }
 
-    const avgHorizontal = sumHorizontal / totalWeight;
-    const avgVertical = sumVertical / totalWeight;
+  /**
+   * Compute the seats for the entered shares and switch to them
+   */
+  applySimulation() {
+    this.setSimulatedResults(this.getSimulationVotes());
 
-    // Determine direction and absolute value
-    const horizontalLabel = avgHorizontal >= 0 ? "rechts" : "links";
-    const verticalLabel = avgVertical >= 0 ? "conservatief" : "progressief";
-    const horizontalValue = Math.abs(avgHorizontal);
-    const verticalValue = Math.abs(avgVertical);
+    this.resultsKey = SIMULATION_KEY;
+    this.displayElectionResultsPicker(this.parser.getAllData().electionResults);
+    this.handleElectionResultsChange();
+  }
 
-    const html = `
-      <span class="coalition-stats-item">${totalSeats} zetels</span>
-      <span class="coalition-stats-item">${horizontalValue.toFixed(1)}% ${horizontalLabel}</span>
-      <span class="coalition-stats-item">${verticalValue.toFixed(1)}% ${verticalLabel}</span>
-    `;
+  /**
+   * Redraw the coalition list when it is open
+   */
+  refreshCoalitionFinder() {
+    if (this.coalitionFinder && this.coalitionFinder.style.display !== "none") {
+      this.displayCoalitions();
+    }
+  }
 
-    this.coalitionStatsContent.innerHTML = html;
-    this.coalitionStats.style.display = "inline-block";
+  /**
+   * List the best ranked majority coalitions, clicking one selects it
+   */
+  displayCoalitions() {
+    const maxResults = 25;
+    const finder = new CoalitionFinder(
+      this.parties,
+      this.resultsKey,
+      MAJORITY_SEATS,
+      this.axes,
+    );
+    let coalitions = finder.findMajorities({
+      minimalOnly: this.minimalCoalitionsCheckbox.checked,
+      weighted:
+        this.weightedAverageCheckbox && this.weightedAverageCheckbox.checked,
+    });
+    if (this.userPosition) {
+      coalitions = finder.measureDistances(coalitions, this.userPosition);
+    }
+    coalitions = finder.rank(coalitions, this.coalitionSort.value);
+
+    this.coalitionResultsSummary.textContent = `${this.i18n.t(
+      "finder.summary",
+      {
+        count: coalitions.length,
+        majority: MAJORITY_SEATS,
+        total: TOTAL_SEATS,
+      },
+    )}${
+      coalitions.length > maxResults
+        ? this.i18n.t("finder.top", { count: maxResults })
+        : ""
+    }`;
+
+    this.coalitionResults.innerHTML = coalitions
+      .slice(0, maxResults)
+      .map(
+        (coalition, rank) => `
+        <li>
+          <button type="button" class="coalition-result" data-rank="${rank}">
+            <strong>${coalition.indices
+              .map((index) => this.parties[index].shortName)
+              .join(" + ")}</strong>
+            <small>${this.formatSeats(coalition.seats)} (+${
+              coalition.surplus
+            }), ${this.i18n.t("common.parties", {
+              count: coalition.indices.length,
+            })}, ${this.i18n.t("finder.spread", {
+              spread: this.i18n.formatNumber(coalition.spread),
+            })}${
+              coalition.distance !== undefined
+                ? `, ${this.i18n.t("common.distanceToYou", {
+                    distance: this.i18n.formatNumber(coalition.distance),
+                  })}`
+                : ""
+            }</small>
+          </button>
+        </li>
+      `,
+      )
+      .join("");
+
+    this.coalitionResults
+      .querySelectorAll(".coalition-result")
+      .forEach((button) => {
+        const coalition = coalitions[parseInt(button.dataset.rank)];
+        button.addEventListener("click", () =>
+          this.selectParties(coalition.indices),
+        );
+      });
+  }
+
+  updateCompassMarker() {
+    const svg = this.svgDisplay.querySelector("svg");
+    if (!svg) return;
+
+    // Get the compass SVG element (the inner one with the parties)
+    const compassSvg = svg.querySelector(".Compass__compass");
+    if (!compassSvg) return;
+
+    this.updatePartyHighlights(compassSvg);
+
+    // Replaces the existing marker and coalition shape
+    const average = this.calculatePoliticalAverage();
+    drawCoalition(
+      compassSvg,
+      this.getSelectedPartyPoints(),
+      average && this.coordinates.fromPolitical(average),
+      average && this.describePosition(average),
+    );
+    this.updateTrajectories();
+  }
+
+  /**
+   * Emphasise the selected parties on the compass and dim the others
+   */
+  updatePartyHighlights(compassSvg) {
+    const selectedNames = Array.from(this.selectedParties).map(
+      (index) => this.parties[index].name,
+    );
+
+    const supportingNames = Array.from(this.supportingParties).map(
+      (index) => this.parties[index].name,
+    );
+
+    compassSvg.querySelectorAll(".CompassParty").forEach((group) => {
+      const icon = group.querySelector(".CompassParty__icon");
+      const name = icon && icon.getAttribute("aria-label");
+      const isSelected = selectedNames.includes(name);
+      const isSupporting = supportingNames.includes(name);
+
+      group.classList.toggle("CompassParty--selected", isSelected);
+      group.classList.toggle("CompassParty--supporting", isSupporting);
+      group.setAttribute(
+        "aria-pressed",
+        isSupporting ? "mixed" : String(isSelected),
+      );
+      group.classList.toggle(
+        "CompassParty--dimmed",
+        !isSelected &&
+          !isSupporting &&
+          selectedNames.length + supportingNames.length > 0,
+      );
+    });
+  }
+
+  /**
+   * Get the icon centres of the selected parties, in compass percentages
+   */
+  getSelectedPartyPoints() {
+    return Array.from(this.selectedParties).map((index) =>
+      this.coordinates.getIconCenter(this.parties[index].position),
+    );
   }
 
-  calculateAverage() {
-    if (this.selectedParties.size === 0) return null;
+  /**
+   * Get the text lines describing the current coalition for exports
+   */
+  getExportLegend() {
+    const selected = Array.from(this.selectedParties).map(
+      (index) => this.parties[index],
+    );
+    const supporting = Array.from(this.supportingParties).map(
+      (index) => this.parties[index],
+    );
+    const resultsLabel =
+      this.parser.getAllData().electionResults[this.resultsKey].label;
+    const source = this.i18n.t("export.source", {
+      edition: this.editionKey,
+      results: resultsLabel,
+    });
+
+    if (selected.length === 0) {
+      return [this.i18n.t("compass.heading"), source];
+    }
 
+    const position = this.calculatePoliticalAverage();
     const useWeighted =
       this.weightedAverageCheckbox && this.weightedAverageCheckbox.checked;
 
-    if (useWeighted) {
-      // Weighted average by number of seats
-      let sumX = 0;
-      let sumY = 0;
-      let totalSeats = 0;
-
-      this.selectedParties.forEach((index) => {
-        const party = this.parties[index];
-        const seats = party.electionResults2025
-          ? party.electionResults2025.seats
-          : 1;
-        sumX += party.position.x * seats;
-        sumY += party.position.y * seats;
-        totalSeats += seats;
-      });
+    return [
+      `${this.i18n.t("export.coalition", {
+        parties: selected.map((party) => party.shortName).join(" + "),
+      })}${
+        supporting.length > 0
+          ? `, ${this.i18n.t("common.supportedBy", {
+              parties: supporting.map((party) => party.shortName).join(" + "),
+            })}`
+          : ""
+      }`,
+      `${this.formatSeats(this.getSelectedSeats())}${
+        supporting.length > 0
+          ? ` ${this.i18n.t("common.supportingSeats", {
+              count: this.getSelectedSeats(this.supportingParties),
+            })}`
+          : ""
+      }, ${this.formatAxisValue(
+        position.horizontal,
+        this.axes.horizontal,
+      )}, ${this.formatAxisValue(position.vertical, this.axes.vertical)}${
+        useWeighted ? ` ${this.i18n.t("export.weighted")}` : ""
+      }`,
+      ...[...selected, ...supporting].map(
+        (party) =>
+          `${party.shortName}: ${party.name}, ${this.formatSeats(
+            getPartySeats(party, this.resultsKey),
+          )}, ${this.formatPartyPosition(party)}${
+            supporting.includes(party)
+              ? ` ${this.i18n.t("export.supporting")}`
+              : ""
+          }`,
+      ),
+      source,
+    ];
+  }
 
-      return {
-        x:
-          totalSeats > 0 ? sumX / totalSeats : sumX / this.selectedParties.size,
-        y:
-          totalSeats > 0 ? sumY / totalSeats : sumY / this.selectedParties.size,
-      };
-    } else {
-      // Simple average
-      let sumX = 0;
-      let sumY = 0;
-
-      this.selectedParties.forEach((index) => {
-        const party = this.parties[index];
-        sumX += party.position.x;
-        sumY += party.position.y;
-      });
+  /**
+   * Get the logos in front of the party lines of the export legend
+   */
+  getExportLegendLogos() {
+    if (this.selectedParties.size === 0) return [];
+
+    return [
+      null,
+      null,
+      ...[...this.selectedParties, ...this.supportingParties].map(
+        (index) => this.parties[index].logo,
+      ),
+      null,
+    ];
+  }
 
-      return {
-        x: sumX / this.selectedParties.size,
-        y: sumY / this.selectedParties.size,
-      };
+  /**
+   * Get an image file as a data URL, caching the result
+   */
+  async getDataUrl(href) {
+    if (!this.dataUrls.has(href)) {
+      this.dataUrls.set(
+        href,
+        fetch(href)
+          .then((response) => response.blob())
+          .then(
+            (blob) =>
+              new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+              }),
+          ),
+      );
     }
+    return this.dataUrls.get(href);
   }
 
-  updateCompassMarker() {
+  /**
+   * Embed the linked logos of an export, so the file stands on its own and
+   * the logos survive rasterizing to PNG
+   */
+  async embedImages(svg) {
+    await Promise.all(
+      Array.from(svg.querySelectorAll("image")).map(async (image) => {
+        const href = image.getAttribute("href");
+        if (!href || href.startsWith("data:")) return;
+
+        try {
+          image.setAttribute("href", await this.getDataUrl(href));
+        } catch (error) {
+          console.error(`Error embedding ${href}:`, error);
+        }
+      }),
+    );
+    return svg;
+  }
+
+  /**
+   * Build a standalone SVG of the compass with the current coalition
+   */
+  buildExportSvg() {
     const svg = this.svgDisplay.querySelector("svg");
+    if (!svg) return null;
+
+    return composeExportSvg(svg, {
+      selectedNames: Array.from(this.selectedParties).map(
+        (index) => this.parties[index].name,
+      ),
+      supportingNames: Array.from(this.supportingParties).map(
+        (index) => this.parties[index].name,
+      ),
+      marker: this.getMarkerPosition(),
+      memberPoints: this.getSelectedPartyPoints(),
+      legend: this.getExportLegend(),
+      legendLogos: this.getExportLegendLogos(),
+    });
+  }
+
+  getExportFileName(extension) {
+    const shortNames = Array.from(this.selectedParties).map(
+      (index) => this.parties[index].shortName,
+    );
+    return `kieskompas${shortNames.length > 0 ? `-${shortNames.join("-")}` : ""}.${extension}`;
+  }
+
+  /**
+   * Get the current coalition with its metrics as shown on the page, for
+   * the data exports, or null without a selection
+   */
+  getExportCoalition() {
+    const position = this.calculatePoliticalAverage();
+    if (!position) return null;
+
+    return {
+      name: this.i18n.t("comparison.current"),
+      parties: this.getSelectedShortNames(),
+      supporting: this.getSupportingShortNames(),
+      weighted: this.weightedAverageCheckbox?.checked ?? false,
+      resultsKey: this.resultsKey,
+      seats: this.getSelectedSeats(),
+      supportingSeats: this.getSelectedSeats(this.supportingParties),
+      horizontal: position.horizontal,
+      vertical: position.vertical,
+      spread: this.getCoalition().getSpread(),
+    };
+  }
+
+  /**
+   * Download every party's position and seats, and the metrics of the
+   * current coalition, as CSV or JSON for spreadsheets
+   */
+  exportData(format) {
+    const data = this.parser.getAllData();
+    const coalition = this.getExportCoalition();
+    const [content, type] =
+      format === "csv"
+        ? [formatCsv(data, coalition), "text/csv"]
+        : [formatJson(data, coalition), "application/json"];
+
+    this.downloadBlob(
+      new Blob([content], { type: `${type};charset=utf-8` }),
+      this.getExportFileName(format),
+    );
+  }
+
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  async exportSvg() {
+    const svg = this.buildExportSvg();
+    if (!svg) return;
+
+    await this.embedImages(svg);
+    this.downloadBlob(
+      new Blob([serializeSvg(svg)], { type: "image/svg+xml" }),
+      this.getExportFileName("svg"),
+    );
+  }
+
+  /**
+   * Rasterize the exported SVG through a canvas and download it as PNG
+   */
+  async exportPng() {
+    const svg = this.buildExportSvg();
     if (!svg) return;
 
-    // Remove existing marker
-    const existingMarker = svg.querySelector("#averageMarker");
-    if (existingMarker) {
-      existingMarker.remove();
+    await this.embedImages(svg);
+    const url = URL.createObjectURL(
+      new Blob([serializeSvg(svg)], { type: "image/svg+xml" }),
+    );
+
+    try {
+      const image = new Image();
+      await new Promise((resolve, reject) => {
+        image.onload = resolve;
+        image.onerror = () => reject(new Error("Could not render the SVG"));
+        image.src = url;
+      });
+
+      const canvas = document.createElement("canvas");
+      canvas.width = parseFloat(svg.getAttribute("width")) * PNG_SCALE;
+      canvas.height = parseFloat(svg.getAttribute("height")) * PNG_SCALE;
+      canvas
+        .getContext("2d")
+        .drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      const blob = await new Promise((resolve) =>
+        canvas.toBlob(resolve, "image/png"),
+      );
+      this.downloadBlob(blob, this.getExportFileName("png"));
+    } catch (error) {
+      console.error("Error exporting PNG:", error);
+    } finally {
+      URL.revokeObjectURL(url);
     }
+  }
 
-    const average = this.calculateAverage();
-    if (!average) return;
+  /**
+   * Make the party icons on the compass toggle the selection on click,
+   * Enter or Space, show a tooltip on hover or focus and move the focus
+   * to the nearest icon with the arrow keys
+   */
+  setupCompassInteraction() {
+    this.svgDisplay.querySelectorAll(".CompassParty").forEach((group) => {
+      const icon = group.querySelector(".CompassParty__icon");
+      if (!icon) return;
+
+      const name = icon.getAttribute("aria-label");
+
+      // Replace the native title tooltip with our own
+      const title = icon.querySelector("title");
+      if (title) {
+        group.setAttribute("aria-label", title.textContent);
+        title.remove();
+      }
+      group.setAttribute("role", "button");
+      group.setAttribute("aria-pressed", "false");
 
-    // Get the compass SVG element (the inner one with the parties)
-    const compassSvg = svg.querySelector(".Compass__compass");
-    if (!compassSvg) return;
+      group.addEventListener("click", () => {
+        // While placing, the click is handled by the compass itself
+        if (!this.isPlacingUserPosition) {
+          this.togglePartyByName(name);
+        }
+      });
+      group.addEventListener("keydown", (event) =>
+        this.handleCompassKeydown(event, group, name),
+      );
+      group.addEventListener("mouseenter", () => this.showTooltip(group, name));
+      group.addEventListener("focus", () => this.showTooltip(group, name));
+      group.addEventListener("mouseleave", () => this.hideTooltip());
+      group.addEventListener("blur", () => this.hideTooltip());
+    });
 
-    // Party icons are 10% x 10%, so we need to offset by 5% to center the marker
-    // The x,y coordinates in the data represent the top-left corner of the icon
-    const iconOffset = 5; // Half of 10% icon size
-    const markerX = average.x + iconOffset;
-    const markerY = average.y + iconOffset;
+    const svg = this.svgDisplay.querySelector("svg");
+    if (svg) {
+      svg.addEventListener("click", (event) => {
+        if (this.isPlacingUserPosition) {
+          this.placeUserPositionAt(event.clientX, event.clientY);
+        }
+      });
+    }
+  }
 
-    // Create marker group
-    const markerGroup = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "g",
+  /**
+   * Switch the mode in which a click on the compass places the visitor
+   */
+  setPlacingUserPosition(isPlacing) {
+    this.isPlacingUserPosition = isPlacing;
+    this.placeUserPositionButton.setAttribute(
+      "aria-pressed",
+      String(isPlacing),
     );
-    markerGroup.setAttribute("id", "averageMarker");
+    this.svgDisplay.classList.toggle("is-placing", isPlacing);
+  }
 
-    // Create outer circle (white border)
-    const outerCircle = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "circle",
-    );
-    outerCircle.setAttribute("cx", `${markerX}%`);
-    outerCircle.setAttribute("cy", `${markerY}%`);
-    outerCircle.setAttribute("r", "12");
-    outerCircle.setAttribute("fill", "#ff0000");
-    outerCircle.setAttribute("stroke", "#ffffff");
-    outerCircle.setAttribute("stroke-width", "3");
-
-    // Create inner circle
-    const innerCircle = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "circle",
+  /**
+   * Place the visitor at a point on the page, in client pixels
+   */
+  placeUserPositionAt(clientX, clientY) {
+    const svg = this.svgDisplay.querySelector("svg");
+    const rect = svg.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+
+    // The SVG scales its viewBox uniformly to the element's width
+    const { viewBox } = this.coordinates;
+    const compassPoint = this.coordinates.fromViewBox({
+      x: viewBox.x + ((clientX - rect.left) / rect.width) * viewBox.width,
+      y: viewBox.y + ((clientY - rect.top) / rect.height) * viewBox.height,
+    });
+
+    this.setPlacingUserPosition(false);
+    this.setUserPosition(this.coordinates.toPolitical(compassPoint));
+  }
+
+  /**
+   * Place the visitor at the entered percentages, or remove the position
+   * when both fields are empty
+   */
+  handleUserPositionInput() {
+    const horizontal = parseFloat(this.userHorizontalInput.value);
+    const vertical = parseFloat(this.userVerticalInput.value);
+
+    if (
+      this.userHorizontalInput.value === "" &&
+      this.userVerticalInput.value === ""
+    ) {
+      this.setUserPosition(null);
+    } else if (Number.isFinite(horizontal) && Number.isFinite(vertical)) {
+      this.setUserPosition({ horizontal, vertical });
+    }
+  }
+
+  /**
+   * Set or remove the visitor's own position and store it in the URL
+   */
+  setUserPosition(position) {
+    const hadPosition = this.userPosition !== null;
+    this.userPosition = position ? normalizePosition(position) : null;
+
+    // Rank coalitions by distance as soon as there is something to compare to
+    if (this.userPosition && !hadPosition) {
+      this.coalitionSort.value = "distance";
+    } else if (!this.userPosition && this.coalitionSort.value === "distance") {
+      this.coalitionSort.value = "spread";
+    }
+
+    this.updateUserPosition();
+    this.updateQueryParams(this.getSelectedShortNames());
+  }
+
+  /**
+   * Show the visitor's own position in the fields, on the compass and in
+   * the distances to parties and coalitions
+   */
+  updateUserPosition() {
+    const position = this.userPosition;
+
+    if (this.userHorizontalInput) {
+      this.userHorizontalInput.value = position ? position.horizontal : "";
+      this.userVerticalInput.value = position ? position.vertical : "";
+      this.clearUserPositionButton.disabled = !position;
+    }
+
+    const distanceOption = this.coalitionSort?.querySelector(
+      'option[value="distance"]',
     );
-    innerCircle.setAttribute("cx", `${markerX}%`);
-    innerCircle.setAttribute("cy", `${markerY}%`);
-    innerCircle.setAttribute("r", "4");
-    innerCircle.setAttribute("fill", "#ffffff");
+    if (distanceOption) {
+      distanceOption.disabled = !position;
+    }
 
-    markerGroup.appendChild(outerCircle);
-    markerGroup.appendChild(innerCircle);
+    const compassSvg = this.svgDisplay.querySelector(".Compass__compass");
+    if (compassSvg) {
+      drawUserMarker(
+        compassSvg,
+        position ? this.coordinates.fromPolitical(position) : null,
+        this.i18n.t("compass.you"),
+      );
+    }
 
-    // Add to compass
-    compassSvg.appendChild(markerGroup);
+    this.updatePartyDistances();
+    if (this.selectedParties.size > 0) {
+      this.updateCoalitionStats(this.getSelectedSeats());
+    }
+    this.refreshCoalitionFinder();
   }
 
-  async displaySVG() {
-    // Load and display the actual SVG
-    try {
-      const response = await fetch("kompas.svg");
-      const svgText = await response.text();
-      this.svgDisplay.innerHTML = svgText;
-
-      // Scale the SVG to fit
-      const svg = this.svgDisplay.querySelector("svg");
-      if (svg) {
-        svg.style.width = "100%";
-        svg.style.height = "auto";
+  getPartyIndexByName(name) {
+    return this.parties.findIndex((party) => party.name === name);
+  }
+
+  /**
+   * Toggle a party's checkbox and update the selection
+   */
+  togglePartyByName(name) {
+    const index = this.getPartyIndexByName(name);
+    const checkbox = document.getElementById(`party-${index}`);
+    if (!checkbox) return;
+
+    this.setPartySelected(index, !checkbox.checked);
+  }
+
+  /**
+   * Check or uncheck a party as a coalition member in the picker, where
+   * the selection lives, and update the selection
+   */
+  setPartySelected(index, isSelected) {
+    const checkbox = document.getElementById(`party-${index}`);
+    if (!checkbox) return;
+
+    checkbox.checked = isSelected;
+    if (isSelected) {
+      const supportCheckbox = document.getElementById(`support-${index}`);
+      if (supportCheckbox) supportCheckbox.checked = false;
+    }
+    this.handlePartySelection();
+  }
+
+  handleCompassKeydown(event, group, name) {
+    const directions = {
+      ArrowLeft: { x: -1, y: 0 },
+      ArrowRight: { x: 1, y: 0 },
+      ArrowUp: { x: 0, y: -1 },
+      ArrowDown: { x: 0, y: 1 },
+    };
+
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      this.togglePartyByName(name);
+    } else if (directions[event.key]) {
+      event.preventDefault();
+      const neighbour = this.findNeighbourIcon(name, directions[event.key]);
+      if (neighbour) {
+        neighbour.focus();
       }
-    } catch (error) {
-      console.error("Error displaying SVG:", error);
-      throw error;
+    } else if (event.key === "Escape") {
+      this.hideTooltip();
+    }
+  }
+
+  /**
+   * Find the party group closest to the given party in a direction,
+   * preferring parties that lie straight in that direction
+   */
+  findNeighbourIcon(name, direction) {
+    const current = this.parties[this.getPartyIndexByName(name)];
+    let best = null;
+    let bestScore = Infinity;
+
+    this.parties.forEach((party) => {
+      const dx = party.position.x - current.position.x;
+      const dy = party.position.y - current.position.y;
+      const along = dx * direction.x + dy * direction.y;
+      if (party === current || along <= 0) return;
+
+      const across = Math.abs(dx * direction.y + dy * direction.x);
+      const score = along + 2 * across;
+      if (score < bestScore) {
+        best = party;
+        bestScore = score;
+      }
+    });
+
+    return best ? this.getPartyGroup(best.name) : null;
+  }
+
+  /**
+   * Get the compass group of a party by its full name
+   */
+  getPartyGroup(name) {
+    const icon = Array.from(
+      this.svgDisplay.querySelectorAll(".CompassParty__icon"),
+    ).find((icon) => icon.getAttribute("aria-label") === name);
+    return icon ? icon.closest(".CompassParty") : null;
+  }
+
+  showTooltip(group, name) {
+    if (!this.compassTooltip) return;
+
+    const party = this.parties[this.getPartyIndexByName(name)];
+    if (!party) return;
+
+    const result = getPartyResult(party, this.resultsKey);
+
+    this.compassTooltip.innerHTML = `
+      <strong>${party.name}</strong> (${party.shortName})<br />
+      ${this.formatPartyPosition(party)}<br />
+      ${result ? this.formatSeats(result.seats) : this.i18n.t("compass.noSeats")}
+      ${
+        party.isAbsent
+          ? `<br />${this.i18n.t("compass.absent", { edition: this.editionKey })}`
+          : ""
+      }
+    `;
+
+    // Position the tooltip above the icon, relative to the compass container
+    const container = this.compassTooltip.offsetParent || document.body;
+    const containerRect = container.getBoundingClientRect();
+    const iconRect = group.getBoundingClientRect();
+    this.compassTooltip.style.left = `${iconRect.left - containerRect.left + iconRect.width / 2}px`;
+    this.compassTooltip.style.top = `${iconRect.top - containerRect.top}px`;
+    this.compassTooltip.hidden = false;
+  }
+
+  hideTooltip() {
+    if (this.compassTooltip) {
+      this.compassTooltip.hidden = true;
+    }
+  }
+
+  /**
+   * Describe a signed political position in words: the quadrant of the
+   * compass and the percentages on both axes
+   */
+  describePosition(position) {
+    return this.i18n.t("quadrant.description", {
+      quadrant: this.i18n.t(`quadrant.${getQuadrant(position)}`),
+      position: `${this.formatAxisValue(
+        position.horizontal,
+        this.axes.horizontal,
+      )}, ${this.formatAxisValue(position.vertical, this.axes.vertical)}`,
+    });
+  }
+
+  /**
+   * Announce the coalition to screen readers after every change: its
+   * parties, seats, majority and where its average lies
+   */
+  announceCoalition() {
+    if (!this.coalitionAnnouncement) return;
+
+    let message = this.i18n.t("announce.none");
+    const average = this.calculatePoliticalAverage();
+    if (average) {
+      const supporting = this.getSupportingShortNames();
+      const { shortfall } = this.getMajorityStatus(this.resultsKey);
+      message = `${this.i18n.t("announce.coalition", {
+        parties: this.getSelectedShortNames().join(", "),
+        seats: this.formatSeats(this.getSelectedSeats()),
+      })}${
+        supporting.length > 0
+          ? `, ${this.i18n.t("common.supportedBy", {
+              parties: supporting.join(", "),
+            })}`
+          : ""
+      }, ${
+        shortfall > 0
+          ? this.i18n.t("announce.shortfall", { count: shortfall })
+          : this.i18n.t("announce.majority")
+      }. ${this.describePosition(average)}.`;
+    }
+
+    // Unchanged text would be read again by some screen readers
+    if (this.coalitionAnnouncement.textContent !== message) {
+      this.coalitionAnnouncement.textContent = message;
     }
   }
+
+  togglePartyTable() {
+    const isHidden = this.partyTableView.style.display === "none";
+    this.partyTableView.style.display = isHidden ? "block" : "none";
+    this.showPartyTableButton.setAttribute("aria-expanded", String(isHidden));
+  }
+
+  /**
+   * Sort the party table by a column, a second click on the same column
+   * reverses the order. Names and positions start ascending, seats
+   * descending.
+   */
+  sortPartyTable(key) {
+    this.partyTableSort = {
+      key,
+      descending:
+        key === this.partyTableSort.key
+          ? !this.partyTableSort.descending
+          : key === "seats",
+    };
+    this.displayPartyTable();
+  }
+
+  /**
+   * List every party with its signed position and seats in a table, an
+   * alternative to the compass. Its checkboxes select the same parties as
+   * the picker.
+   */
+  displayPartyTable() {
+    if (!this.partyTableRows) return;
+
+    const { key, descending } = this.partyTableSort;
+    const value = (party) => {
+      if (key === "name") return party.name;
+      if (key === "seats") return getPartySeats(party, this.resultsKey);
+      return getSignedPosition(party, this.axes)[key];
+    };
+    const rows = this.parties
+      .map((party, index) => ({ party, index }))
+      .sort((a, b) => {
+        const difference =
+          key === "name"
+            ? value(a.party).localeCompare(value(b.party), this.i18n.locale)
+            : value(a.party) - value(b.party);
+        return descending ? -difference : difference;
+      });
+
+    this.partyTableRows.innerHTML = rows
+      .map(({ party, index }) => {
+        const position = getSignedPosition(party, this.axes);
+        const result = getPartyResult(party, this.resultsKey);
+        return `
+          <tr>
+            <td>
+              <input
+                type="checkbox"
+                data-index="${index}"
+                aria-label="${this.i18n.t("table.selectLabel", { party: party.name })}"
+                ${this.selectedParties.has(index) ? "checked" : ""}
+              />
+            </td>
+            <th scope="row">
+              ${party.name} (${party.shortName})${
+                party.isAbsent
+                  ? ` <small>${this.i18n.t("compass.absent", { edition: this.editionKey })}</small>`
+                  : ""
+              }
+            </th>
+            <td>${this.i18n.formatNumber(position.horizontal, 0)}</td>
+            <td>${this.i18n.formatNumber(position.vertical, 0)}</td>
+            <td>${result ? result.seats : "-"}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    this.partyTableView
+      .querySelectorAll("button[data-sort]")
+      .forEach((button) => {
+        button.parentElement.setAttribute(
+          "aria-sort",
+          button.dataset.sort !== key
+            ? "none"
+            : descending
+              ? "descending"
+              : "ascending",
+        );
+      });
+  }
+
+  /**
+   * Check the coalition members in the party table
+   */
+  updatePartyTableSelection() {
+    if (!this.partyTableRows) return;
+
+    this.partyTableRows
+      .querySelectorAll('input[type="checkbox"]')
+      .forEach((checkbox) => {
+        checkbox.checked = this.selectedParties.has(
+          parseInt(checkbox.dataset.index),
+        );
+      });
+  }
+
+  /**
+   * Draw the compass from the loaded data
+   */
+  displayCompass(data) {
+    const svg = createCompassSvg(document, data);
+
+    // Scale the SVG to fit
+    svg.style.width = "100%";
+    svg.style.height = "auto";
+    this.svgDisplay.replaceChildren(svg);
+    // Translate the labels and fade the parties that were not on the
+    // compass of the shown edition
+    this.updateCompassLabels();
+  }
 }
 
 // Initialize the application
 const parser = new KieskompasParser("parties-data.json");
 const _ui = new UIController(parser);
-
-// Export for use in other modules if needed
-export { KieskompasParser };
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * Offline script to render coalition images (SVG and PNG) of the compass
+ * as drawn on the page, for a list of coalitions in a JSON file:
+ *
+ *   [{ "name": "Kabinet", "parties": ["D66", "CDA", "VVD"] }, ...]
+ *
+ * Run with: node render-images.js <coalitions.json> [options], see --help
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { Resvg } = require("@resvg/resvg-js");
+const OfflineKieskompasParser = require("./generate-data");
+
+const EXIT_CODES = {
+  OK: 0,
+  USAGE: 2,
+  RENDER_FAILURE: 3,
+};
+
+// Resolution multiplier for PNG output
+const PNG_SCALE = 2;
+
+const USAGE = `Usage: node render-images.js <coalitions.json> [options]
+
+Options:
+  -i, --input <svg>      Kieskompas SVG to parse (default: kompas.svg)
+  -r, --results <json>   Seat results file (default: newest in results/)
+  -o, --out-dir <dir>    Directory to write the images to
+                         (default: coalition-images)
+  -f, --format <format>  svg, png or both (default: both)
+  -w, --weighted         Weight the average position by seats
+  -h, --help             Show this help`;
+
+class CoalitionImageRenderer {
+  constructor(parser, { weighted = false } = {}) {
+    this.parser = parser;
+    this.weighted = weighted;
+    this.data = null;
+    this.resultsKey = null;
+    this.svgTools = null;
+    this.coordinates = null;
+    this.Coalition = null;
+    this.getPartySeats = null;
+    this.getAxisDirection = null;
+    this.axes = null;
+  }
+
+  /**
+   * Parse the compass and load the ES module drawing, coordinate and
+   * coalition helpers
+   */
+  async load() {
+    this.data = await this.parser.parse();
+    this.resultsKey = this.data.defaultElectionResults;
+    this.svgTools = await import("./compass-svg.mjs");
+
+    const { CompassCoordinates, getAxisDirection } = await import(
+      "./coordinates.mjs"
+    );
+    const { Coalition, getPartySeats } = await import("./coalition.mjs");
+    this.Coalition = Coalition;
+    this.getPartySeats = getPartySeats;
+    this.getAxisDirection = getAxisDirection;
+    this.axes = this.data.axes;
+    this.coordinates = new CompassCoordinates(this.data.dimensions);
+  }
+
+  /**
+   * Find the parties of a coalition by short name (case-insensitive)
+   */
+  getCoalitionParties(coalition) {
+    return coalition.parties.map((shortName) => {
+      const party = this.data.parties.find(
+        (party) => party.shortName.toUpperCase() === shortName.toUpperCase(),
+      );
+      if (!party) {
+        throw new Error(`Unknown party "${shortName}" in ${coalition.name}`);
+      }
+      return party;
+    });
+  }
+
+  getSeats(party) {
+    return this.getPartySeats(party, this.resultsKey);
+  }
+
+  /**
+   * The parties as a coalition in the rendered result set, weighted by
+   * seats when requested
+   */
+  createCoalition(parties) {
+    return new this.Coalition(
+      this.data.parties,
+      parties.map((party) => this.data.parties.indexOf(party)),
+      { resultsKey: this.resultsKey, axes: this.axes, weighted: this.weighted },
+    );
+  }
+
+  /**
+   * Average political position of the parties, weighted by seats when
+   * requested (parties without seats count as 0)
+   */
+  calculateAverage(parties) {
+    return this.createCoalition(parties).getAverage();
+  }
+
+  /**
+   * Average political position of the parties, as "NN.N% direction" labels
+   */
+  getPositionLabels(parties) {
+    const { horizontal, vertical } = this.calculateAverage(parties);
+
+    return [
+      `${Math.abs(horizontal).toFixed(1)}% ${this.getAxisDirection(horizontal, this.axes.horizontal)}`,
+      `${Math.abs(vertical).toFixed(1)}% ${this.getAxisDirection(vertical, this.axes.vertical)}`,
+    ];
+  }
+
+  /**
+   * Get a party's generated logo as a data URL, null when it is missing
+   */
+  getLogoHref(party) {
+    const logoPath = party.logo && path.join(__dirname, party.logo);
+    if (!logoPath || !fs.existsSync(logoPath)) return null;
+
+    return `data:image/png;base64,${fs.readFileSync(logoPath).toString("base64")}`;
+  }
+
+  getLegend(coalition, parties) {
+    const totalSeats = this.createCoalition(parties).getSeats();
+    const resultsLabel = this.data.electionResults[this.resultsKey].label;
+
+    return [
+      `${coalition.name}: ${parties.map((party) => party.shortName).join(" + ")}`,
+      `${totalSeats} zetels, ${this.getPositionLabels(parties).join(", ")}${
+        this.weighted ? " (gewogen)" : ""
+      }`,
+      ...parties.map((party) => {
+        const seats = this.getSeats(party);
+        const title = party.title.replace(`${party.name}: `, "");
+        return `${party.shortName}: ${party.name}, ${seats} ${
+          seats === 1 ? "zetel" : "zetels"
+        }, ${title.replace(/\.$/, "")}`;
+      }),
+      `Bron: kieskompas.nl (2025), zetels: ${resultsLabel}`,
+    ];
+  }
+
+  /**
+   * Render one coalition to a standalone SVG document
+   */
+  renderSvg(coalition) {
+    const parties = this.getCoalitionParties(coalition);
+    const compassSvg = this.svgTools.createCompassSvg(
+      this.parser.svgDoc,
+      this.data,
+      { getLogoHref: (party) => this.getLogoHref(party) },
+    );
+    const svg = this.svgTools.composeExportSvg(compassSvg, {
+      selectedNames: parties.map((party) => party.name),
+      marker: this.coordinates.fromPolitical(this.calculateAverage(parties)),
+      memberPoints: parties.map((party) =>
+        this.coordinates.getIconCenter(party.position),
+      ),
+      legend: this.getLegend(coalition, parties),
+      legendLogos: [
+        null,
+        null,
+        ...parties.map((party) => this.getLogoHref(party)),
+        null,
+      ],
+    });
+    return this.svgTools.serializeSvg(svg);
+  }
+
+  renderPng(svgText) {
+    const resvg = new Resvg(svgText, {
+      fitTo: { mode: "zoom", value: PNG_SCALE },
+      font: { defaultFontFamily: "Helvetica" },
+    });
+    return resvg.render().asPng();
+  }
+
+  getFileName(coalition) {
+    return (
+      coalition.name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "coalitie"
+    );
+  }
+
+  /**
+   * Write the images for every coalition to a directory
+   */
+  renderAll(coalitions, outDir, format = "both") {
+    fs.mkdirSync(outDir, { recursive: true });
+
+    coalitions.forEach((coalition) => {
+      const svgText = this.renderSvg(coalition);
+      const basePath = path.join(outDir, this.getFileName(coalition));
+
+      if (format !== "png") {
+        fs.writeFileSync(`${basePath}.svg`, svgText, "utf-8");
+        console.log(`✓ ${basePath}.svg`);
+      }
+      if (format !== "svg") {
+        fs.writeFileSync(`${basePath}.png`, this.renderPng(svgText));
+        console.log(`✓ ${basePath}.png`);
+      }
+    });
+  }
+}
+
+/**
+ * Run the command line interface and resolve to the exit code
+ */
+async function main(args) {
+  let options;
+  let positionals;
+  try {
+    ({ values: options, positionals } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        input: { type: "string", short: "i" },
+        results: { type: "string", short: "r" },
+        "out-dir": { type: "string", short: "o" },
+        format: { type: "string", short: "f", default: "both" },
+        weighted: { type: "boolean", short: "w" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  if (
+    positionals.length !== 1 ||
+    !["svg", "png", "both"].includes(options.format)
+  ) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    const coalitions = JSON.parse(fs.readFileSync(positionals[0], "utf-8"));
+    const resultsPath = options.results
+      ? path.resolve(options.results)
+      : OfflineKieskompasParser.getDefaultResultsPaths(
+          path.join(__dirname, "results"),
+        )[0];
+
+    const parser = new OfflineKieskompasParser(
+      path.resolve(options.input || path.join(__dirname, "kompas.svg")),
+      null,
+      [resultsPath],
+    );
+    const renderer = new CoalitionImageRenderer(parser, {
+      weighted: options.weighted,
+    });
+
+    await renderer.load();
+    renderer.renderAll(
+      coalitions,
+      path.resolve(options["out-dir"] || "coalition-images"),
+      options.format,
+    );
+    return EXIT_CODES.OK;
+  } catch (error) {
+    console.error("Error rendering images:", error.message);
+    return EXIT_CODES.RENDER_FAILURE;
+  }
+}
+
+// Main execution
+if (require.main === module) {
+  main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = CoalitionImageRenderer;
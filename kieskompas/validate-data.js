@@ -0,0 +1,185 @@
+/**
+ * Validation of the generated parties data, used by generate-data.js.
+ * Checks the structure against parties-data.schema.json and the contents
+ * against what we know about the compass and the seat results.
+ */
+
+const schema = require("./parties-data.schema.json");
+
+const CHAMBER_SEATS = {
+  "tweede-kamer": 150,
+  "eerste-kamer": 75,
+};
+
+// The stated percentages are rounded, so allow the matching rounding error
+const COORDINATE_TOLERANCE = 0.5;
+
+class ValidationError extends Error {
+  constructor(issues) {
+    super(`Validation failed with ${issues.length} issue(s)`);
+    this.name = "ValidationError";
+    this.issues = issues;
+  }
+}
+
+/**
+ * Get the JSON type name of a value as used in the schema
+ */
+function getType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used in
+ * parties-data.schema.json and return a list of issues
+ */
+function validateSchema(value, node = schema, location = "data") {
+  if (node.$ref) {
+    const name = node.$ref.replace("#/definitions/", "");
+    return validateSchema(value, schema.definitions[name], location);
+  }
+
+  const issues = [];
+  const actualType = getType(value);
+
+  if (node.type) {
+    const allowed = [].concat(node.type);
+    const matches = allowed.some(
+      (type) =>
+        type === actualType || (type === "number" && actualType === "integer"),
+    );
+    if (!matches) {
+      return [
+        `${location} should be ${allowed.join(" or ")}, got ${actualType}`,
+      ];
+    }
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    issues.push(`${location} should be one of ${node.enum.join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (node.minimum !== undefined && value < node.minimum) {
+      issues.push(`${location} should be at least ${node.minimum}`);
+    }
+    if (node.maximum !== undefined && value > node.maximum) {
+      issues.push(`${location} should be at most ${node.maximum}`);
+    }
+  }
+
+  if (actualType === "array" && node.items) {
+    value.forEach((item, index) => {
+      issues.push(...validateSchema(item, node.items, `${location}[${index}]`));
+    });
+  }
+
+  if (actualType === "object") {
+    (node.required || []).forEach((key) => {
+      if (!(key in value)) issues.push(`${location}.${key} is missing`);
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childNode =
+        (node.properties && node.properties[key]) || node.additionalProperties;
+      if (childNode) {
+        issues.push(...validateSchema(child, childNode, `${location}.${key}`));
+      }
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Check the parsed parties against the seat results and the compass layout.
+ * `isKnownParty` tells whether a full party name has a known short name,
+ * `coordinateModel` is coordinates.mjs, the coordinate model of the page.
+ */
+function validateContents(data, isKnownParty, coordinateModel) {
+  const issues = [];
+  const { CompassCoordinates, getSignedPosition } = coordinateModel;
+  const coordinates = new CompassCoordinates(data.dimensions);
+
+  data.parties.forEach((party) => {
+    const { horizontal, vertical } = party.politicalPosition;
+
+    if (!horizontal || !vertical) {
+      issues.push(`${party.name}: title "${party.title}" could not be parsed`);
+    } else {
+      // Compare icon centres, as the page places the marker
+      const center = coordinates.getIconCenter(party.position);
+      const expected = coordinates.fromPolitical(
+        getSignedPosition(party, data.axes),
+      );
+
+      if (Math.abs(center.x - expected.x) > COORDINATE_TOLERANCE) {
+        issues.push(
+          `${party.name}: x is ${center.x.toFixed(2)}% but ` +
+            `${horizontal.value}% ${horizontal.direction} means ${expected.x.toFixed(2)}%`,
+        );
+      }
+      if (Math.abs(center.y - expected.y) > COORDINATE_TOLERANCE) {
+        issues.push(
+          `${party.name}: y is ${center.y.toFixed(2)}% but ` +
+            `${vertical.value}% ${vertical.direction} means ${expected.y.toFixed(2)}%`,
+        );
+      }
+    }
+
+    if (!isKnownParty(party.name)) {
+      issues.push(`${party.name}: unknown party name, add a short name`);
+    }
+
+    Object.entries(party.electionResults).forEach(([key, result]) => {
+      if (!result) {
+        issues.push(`${party.shortName}: no seats in result set "${key}"`);
+      }
+    });
+  });
+
+  Object.entries(data.electionResults).forEach(([key, results]) => {
+    const total = [
+      ...Object.values(results.seats),
+      ...Object.values(results.otherSeats || {}),
+    ].reduce((sum, seats) => sum + seats, 0);
+    const expected = CHAMBER_SEATS[results.chamber];
+    if (total !== expected) {
+      issues.push(
+        `Result set "${key}" has ${total} seats instead of ${expected}`,
+      );
+    }
+
+    const shortNames = data.parties.map((party) => party.shortName);
+    Object.keys(results.seats).forEach((shortName) => {
+      if (!shortNames.includes(shortName)) {
+        issues.push(
+          `Result set "${key}" has seats for ${shortName}, which is not on the compass`,
+        );
+      }
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Validate generated data, resolving to every issue found
+ */
+async function validateData(data, isKnownParty) {
+  const issues = validateSchema(data);
+
+  // Content checks assume the structure is sound
+  if (issues.length > 0) return issues;
+
+  return validateContents(
+    data,
+    isKnownParty,
+    await import("./coordinates.mjs"),
+  );
+}
+
+module.exports = { validateData, validateSchema, ValidationError };
@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+
+const { validateData, validateSchema } = createRequire(import.meta.url)(
+  "./validate-data.js",
+);
+
+const loadData = () =>
+  JSON.parse(
+    readFileSync(new URL("./parties-data.json", import.meta.url), "utf-8"),
+  );
+const isKnownParty = () => true;
+
+const findParty = (data, shortName) =>
+  data.parties.find((party) => party.shortName === shortName);
+
+test("the generated data passes", async () => {
+  assert.deepEqual(await validateData(loadData(), isKnownParty), []);
+});
+
+test("the structure is checked against the schema first", async () => {
+  const data = loadData();
+  delete data.dimensions;
+  data.parties[0].position.x = "10";
+
+  const issues = await validateData(data, isKnownParty);
+
+  assert.ok(issues.includes("data.dimensions is missing"));
+  assert.ok(
+    issues.includes("data.parties[0].position.x should be number, got string"),
+  );
+  assert.ok(validateSchema({}).includes("data.parties is missing"));
+});
+
+test("a title that matches no position is reported", async () => {
+  const data = loadData();
+  const vvd = findParty(data, "VVD");
+  vvd.title = "Volkspartij voor Vrijheid en Democratie.";
+  vvd.politicalPosition = { horizontal: null, vertical: null };
+
+  assert.deepEqual(await validateData(data, isKnownParty), [
+    `${vvd.name}: title "${vvd.title}" could not be parsed`,
+  ]);
+});
+
+test("party names without a short name are reported", async () => {
+  const data = loadData();
+  const vvd = findParty(data, "VVD");
+
+  assert.deepEqual(await validateData(data, (name) => name !== vvd.name), [
+    `${vvd.name}: unknown party name, add a short name`,
+  ]);
+});
+
+test("parties without seats in a result set are reported", async () => {
+  const data = loadData();
+  const [key] = Object.keys(data.electionResults);
+  findParty(data, "VVD").electionResults[key] = null;
+
+  assert.deepEqual(await validateData(data, isKnownParty), [
+    `VVD: no seats in result set "${key}"`,
+  ]);
+});
+
+test("result sets must fill their chamber", async () => {
+  const data = loadData();
+  const [tweedeKamer] = Object.entries(data.electionResults).find(
+    ([, results]) => results.chamber === "tweede-kamer",
+  );
+  const [eersteKamer] = Object.entries(data.electionResults).find(
+    ([, results]) => results.chamber === "eerste-kamer",
+  );
+  data.electionResults[tweedeKamer].seats.VVD += 1;
+  data.electionResults[eersteKamer].seats.VVD -= 1;
+
+  assert.deepEqual(await validateData(data, isKnownParty), [
+    `Result set "${tweedeKamer}" has 151 seats instead of 150`,
+    `Result set "${eersteKamer}" has 74 seats instead of 75`,
+  ]);
+});
+
+test("seats for a party that is not on the compass are reported", async () => {
+  const data = loadData();
+  const [key, results] = Object.entries(data.electionResults)[0];
+  results.seats.Nieuw = 0;
+
+  assert.deepEqual(await validateData(data, isKnownParty), [
+    `Result set "${key}" has seats for Nieuw, which is not on the compass`,
+  ]);
+});
+
+test("an icon away from its stated position is reported", async () => {
+  const data = loadData();
+  const vvd = findParty(data, "VVD");
+  vvd.position.x += 5;
+  vvd.position.y -= 0.4;
+
+  const issues = await validateData(data, isKnownParty);
+
+  // Within the rounding of the stated percentages is fine
+  assert.equal(issues.length, 1);
+  assert.match(
+    issues[0],
+    new RegExp(`^${vvd.name}: x is [\\d.]+% but 69% rechts means [\\d.]+%$`),
+  );
+});